@@ -0,0 +1,455 @@
+// Background worker for the checker: context-menu actions on selected text
+// and the model download queue. The on-device APIs aren't exposed to
+// extension service workers, so both hand the actual API calls to a page:
+// selection actions are injected into the frame the user clicked in, and
+// queued downloads are started and followed from an offscreen document.
+
+const DEFAULT_TRANSLATOR_LANGUAGES = ['en', 'es', 'de', 'fr', 'ja'];
+
+const MENU_ITEMS = [
+    { id: 'summarize', title: 'Summarize selection', contexts: ['selection'] },
+    { id: 'rewrite-formal', title: 'Rewrite as more formal', contexts: ['selection', 'editable'] },
+    { id: 'translate', title: 'Translate to…', contexts: ['selection', 'editable'] },
+    { id: 'proofread', title: 'Proofread', contexts: ['selection', 'editable'] }
+];
+
+// Serializes rebuilds; onInstalled, onStartup and a settings change can
+// overlap, and interleaved removeAll/create calls fail with duplicate ids
+let menusUpdate = Promise.resolve();
+
+function buildContextMenus() {
+    const next = menusUpdate.then(rebuildContextMenus);
+    menusUpdate = next.catch(err => console.error("Rebuilding context menus failed", err));
+    return next;
+}
+
+async function rebuildContextMenus() {
+    await chrome.contextMenus.removeAll();
+
+    for (const item of MENU_ITEMS) {
+        chrome.contextMenus.create(item);
+    }
+
+    // One submenu entry per language configured on the Translator card
+    const { translatorLanguages } = await chrome.storage.local.get('translatorLanguages');
+    for (const language of translatorLanguages || DEFAULT_TRANSLATOR_LANGUAGES) {
+        chrome.contextMenus.create({
+            id: `translate:${language}`,
+            parentId: 'translate',
+            title: language,
+            contexts: ['selection', 'editable']
+        });
+    }
+}
+
+chrome.runtime.onInstalled.addListener(buildContextMenus);
+chrome.runtime.onStartup.addListener(buildContextMenus);
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.translatorLanguages) buildContextMenus();
+});
+
+// Page chats are kept per tab, see renderChatPanel in popup.js
+chrome.tabs.onRemoved.addListener((tabId) => {
+    chrome.storage.session.remove(`chat:${tabId}`);
+});
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    if (!tab || info.menuItemId === 'translate') return;
+
+    const [action, targetLanguage] = String(info.menuItemId).split(':');
+    try {
+        await chrome.scripting.executeScript({
+            target: { tabId: tab.id, frameIds: [info.frameId || 0] },
+            func: runSelectionAction,
+            args: [action, { targetLanguage, editable: Boolean(info.editable) }]
+        });
+    } catch (err) {
+        // Happens on pages extensions can't script, e.g. chrome:// URLs
+        console.error("Selection action failed", err);
+    }
+});
+
+// Runs inside the page. Must stay self-contained: it is serialized by
+// chrome.scripting.executeScript, so it cannot use anything from this file.
+async function runSelectionAction(action, params) {
+    const TITLES = {
+        summarize: 'Summary',
+        'rewrite-formal': 'More formal',
+        translate: `Translation (${params.targetLanguage})`,
+        proofread: 'Proofread'
+    };
+
+    function showOverlay(title) {
+        const previous = document.getElementById('checka-overlay');
+        if (previous) previous.remove();
+
+        const host = document.createElement('div');
+        host.id = 'checka-overlay';
+        host.style.cssText = 'position: fixed; top: 16px; right: 16px; z-index: 2147483647;';
+        const root = host.attachShadow({ mode: 'open' });
+        root.innerHTML = `
+            <style>
+                .panel { width: 340px; max-height: 60vh; overflow: auto; background: #fff; color: #0f172a;
+                    border: 1px solid #e2e8f0; border-radius: 8px; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15);
+                    font: 14px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; padding: 12px; }
+                .header { display: flex; justify-content: space-between; align-items: center; font-weight: 600; margin-bottom: 8px; }
+                .body { white-space: pre-wrap; }
+                .body.error { color: #dc2626; }
+                button { border: none; border-radius: 4px; padding: 4px 10px; cursor: pointer; font: inherit; font-size: 12px; }
+                .close { background: none; font-size: 16px; padding: 0 4px; }
+                .undo { background: #2563eb; color: #fff; margin-top: 8px; display: none; }
+            </style>
+            <div class="panel">
+                <div class="header"><span class="title"></span><button class="close" title="Close">×</button></div>
+                <div class="body"></div>
+                <button class="undo">Undo</button>
+            </div>`;
+        root.querySelector('.title').textContent = title;
+        root.querySelector('.close').onclick = () => host.remove();
+        document.documentElement.appendChild(host);
+
+        return {
+            setText(text, isError) {
+                const body = root.querySelector('.body');
+                body.textContent = text;
+                body.classList.toggle('error', Boolean(isError));
+            },
+            offerUndo(onUndo) {
+                const undo = root.querySelector('.undo');
+                undo.style.display = 'inline-block';
+                undo.onclick = () => {
+                    onUndo();
+                    host.remove();
+                };
+            }
+        };
+    }
+
+    // Remember what was selected now; the selection can move while we wait
+    // on the model.
+    function captureSelection() {
+        const field = document.activeElement;
+        if (field && typeof field.selectionStart === 'number' && field.selectionEnd > field.selectionStart) {
+            return {
+                text: field.value.slice(field.selectionStart, field.selectionEnd),
+                field,
+                start: field.selectionStart,
+                end: field.selectionEnd
+            };
+        }
+        const selection = window.getSelection();
+        const range = selection.rangeCount ? selection.getRangeAt(0).cloneRange() : null;
+        const editableRoot = range && range.startContainer.parentElement
+            ? range.startContainer.parentElement.closest('[contenteditable]:not([contenteditable="false"])')
+            : null;
+        return { text: selection.toString(), range, editableRoot };
+    }
+
+    // insertText keeps the change on the page's native undo stack
+    function replaceSelection(captured, replacement) {
+        if (captured.field) {
+            captured.field.focus();
+            captured.field.setSelectionRange(captured.start, captured.end);
+            if (!document.execCommand('insertText', false, replacement)) {
+                captured.field.setRangeText(replacement, captured.start, captured.end, 'end');
+                captured.field.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+            return () => {
+                captured.field.focus();
+                if (!document.execCommand('undo')) {
+                    captured.field.setRangeText(captured.text, captured.start, captured.start + replacement.length, 'select');
+                    captured.field.dispatchEvent(new Event('input', { bubbles: true }));
+                }
+            };
+        }
+
+        captured.editableRoot.focus();
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(captured.range);
+        document.execCommand('insertText', false, replacement);
+        return () => {
+            captured.editableRoot.focus();
+            document.execCommand('undo');
+        };
+    }
+
+    async function translate(text, targetLanguage) {
+        const detector = await LanguageDetector.create();
+        const [top] = await detector.detect(text);
+        detector.destroy();
+        if (!top || top.detectedLanguage === 'und') throw new Error("Could not detect the language of the selection");
+        // Nothing to translate; the caller says so instead of replacing the
+        // selection with itself
+        if (top.detectedLanguage === targetLanguage) return null;
+
+        const translator = await Translator.create({ sourceLanguage: top.detectedLanguage, targetLanguage });
+        try {
+            return await translator.translate(text);
+        } finally {
+            translator.destroy();
+        }
+    }
+
+    async function proofread(text) {
+        if (globalThis.Proofreader) {
+            const proofreader = await Proofreader.create({ expectedInputLanguages: ['en'] });
+            try {
+                return (await proofreader.proofread(text)).correctedInput;
+            } finally {
+                proofreader.destroy();
+            }
+        }
+        // Fall back to the Prompt API where the Proofreader isn't shipped yet
+        const session = await LanguageModel.create({
+            initialPrompts: [{ role: 'system', content: 'Correct spelling and grammar in the text you are given. Reply with the corrected text only.' }]
+        });
+        try {
+            return await session.prompt(text);
+        } finally {
+            session.destroy();
+        }
+    }
+
+    async function run(text) {
+        if (action === 'summarize') {
+            const summarizer = await Summarizer.create({ type: 'key-points', format: 'plain-text', length: 'short' });
+            try {
+                return await summarizer.summarize(text);
+            } finally {
+                summarizer.destroy();
+            }
+        }
+        if (action === 'rewrite-formal') {
+            const rewriter = await Rewriter.create({ tone: 'more-formal' });
+            try {
+                return await rewriter.rewrite(text);
+            } finally {
+                rewriter.destroy();
+            }
+        }
+        if (action === 'translate') return translate(text, params.targetLanguage);
+        if (action === 'proofread') return proofread(text);
+        throw new Error(`Unknown action: ${action}`);
+    }
+
+    const captured = captureSelection();
+    const overlay = showOverlay(TITLES[action] || action);
+
+    if (!captured.text.trim()) {
+        overlay.setText('Select some text first.', true);
+        return;
+    }
+
+    overlay.setText('Working on-device…');
+    try {
+        const result = await run(captured.text);
+        if (result === null) {
+            overlay.setText(`The selection is already in ${params.targetLanguage}.`);
+            return;
+        }
+        const canReplace = action !== 'summarize' && params.editable && (captured.field || captured.editableRoot);
+        if (canReplace) {
+            overlay.offerUndo(replaceSelection(captured, result));
+            overlay.setText('Replaced the selection.');
+        } else {
+            overlay.setText(result);
+        }
+    } catch (err) {
+        overlay.setText(`Error: ${err.message}`, true);
+    }
+}
+
+// Model downloads are queued here and run one at a time. A download the popup
+// starts from a click runs in the popup, since create() only fetches a model
+// that isn't on the device yet from a user gesture; a queued one starts in the
+// offscreen document once it's its turn. Either way the offscreen document
+// follows the download in flight, with a download monitor of its own where
+// the browser allows one, so the badge, the notification and a reopened popup
+// keep up after the popup closes. Job state lives in chrome.storage.session.
+
+const OFFSCREEN_URL = 'offscreen.html';
+
+// Must match downloadJobId in popup.js
+function downloadJobId(key, args) {
+    return `${key}:${JSON.stringify(args || {})}`;
+}
+
+// Serializes read-modify-write cycles on the job list
+let jobsUpdate = Promise.resolve();
+
+function updateJobs(mutate) {
+    const next = jobsUpdate.then(async () => {
+        const { downloads } = await chrome.storage.session.get('downloads');
+        const jobs = downloads || {};
+        mutate(jobs);
+        await chrome.storage.session.set({ downloads: jobs });
+        return jobs;
+    });
+    jobsUpdate = next.catch(() => {});
+    return next;
+}
+
+// A null percent means nothing reports progress for the job any more
+async function showProgress(percent) {
+    await chrome.action.setBadgeBackgroundColor({ color: '#2563eb' });
+    await chrome.action.setBadgeText({ text: percent === null ? '…' : `${percent}%` });
+}
+
+async function ensureOffscreenDocument() {
+    if (await chrome.offscreen.hasDocument()) return;
+    // Chrome has no offscreen reason for the built-in AI APIs, which only
+    // exist in windows, so the justification carries the actual purpose
+    await chrome.offscreen.createDocument({
+        url: OFFSCREEN_URL,
+        reasons: ['DOM_PARSER'],
+        justification: 'Runs queued on-device model downloads and follows their progress with the window-only built-in AI APIs'
+    });
+}
+
+// Starts the oldest queued job once nothing is downloading, then hands every
+// job in flight to the offscreen document. Recreating the document when it
+// has gone away restarts its followers, so a job can't stay 'downloading'
+// with nothing following it.
+async function processQueue() {
+    let inFlight = [];
+    let started = null;
+    await updateJobs((jobs) => {
+        const list = Object.values(jobs);
+        inFlight = list.filter(job => job.state === 'downloading');
+        if (inFlight.length) return;
+        started = list.filter(job => job.state === 'queued').sort((a, b) => a.queuedAt - b.queuedAt)[0] || null;
+        if (started) {
+            Object.assign(started, { state: 'downloading', percent: 0 });
+            inFlight = [started];
+        }
+    });
+
+    if (!inFlight.length) {
+        await chrome.action.setBadgeText({ text: '' });
+        if (await chrome.offscreen.hasDocument()) await chrome.offscreen.closeDocument();
+        return;
+    }
+
+    if (started) await showProgress(0);
+    try {
+        await ensureOffscreenDocument();
+        await chrome.runtime.sendMessage({ target: 'offscreen', type: 'follow', jobs: inFlight });
+    } catch (err) {
+        console.error("Following downloads failed", err);
+        for (const { id } of inFlight) await finishDownload(id, err);
+    }
+}
+
+// started is set when the popup's click already called create(), which only
+// happens while nothing else is downloading; anything else waits its turn
+async function enqueueDownload({ key, args, label, started }) {
+    const id = downloadJobId(key, args);
+    let running = false;
+    await updateJobs((jobs) => {
+        const existing = jobs[id];
+        if (existing && existing.state === 'downloading') return;
+        if (existing && existing.state === 'queued' && !started) return;
+        jobs[id] = {
+            id, key, args: args || null, label: label || key,
+            state: started ? 'downloading' : 'queued',
+            percent: started ? 0 : null,
+            queuedAt: existing && existing.state === 'queued' ? existing.queuedAt : Date.now()
+        };
+        running = Boolean(started);
+    });
+    if (running) await showProgress(0);
+    processQueue();
+    return id;
+}
+
+// Progress comes from the popup that started a download and from the
+// offscreen document's monitor, whichever is still around
+async function updateProgress(id, percent, monitored) {
+    let inFlight = false;
+    await updateJobs((jobs) => {
+        // Only write whole-percent changes, progress events are frequent
+        const job = jobs[id];
+        inFlight = Boolean(job) && job.state === 'downloading';
+        if (!inFlight) return;
+        if (job.percent !== percent) job.percent = percent;
+        if (monitored) job.monitored = true;
+    });
+    if (inFlight) await showProgress(percent);
+}
+
+// Once the popup that started a download closes, its percentage is only
+// current if the offscreen document got a monitor of its own
+async function loseProgress(id) {
+    let lost = false;
+    await updateJobs((jobs) => {
+        const job = jobs[id];
+        lost = Boolean(job) && job.state === 'downloading' && !job.monitored;
+        if (lost) job.percent = null;
+    });
+    if (lost) await showProgress(null);
+}
+
+// Both the popup and the offscreen document report the end of a download,
+// so only the first report counts
+async function finishDownload(id, error) {
+    let job = null;
+    await updateJobs((jobs) => {
+        if (!jobs[id] || !['queued', 'downloading'].includes(jobs[id].state)) return;
+        job = jobs[id];
+        if (error) {
+            job.state = 'error';
+            job.error = error.message;
+            job.errorName = error.name;
+        } else {
+            job.state = 'done';
+            job.percent = 100;
+        }
+    });
+    if (!job) return;
+
+    if (!error) {
+        chrome.notifications.create(`download:${id}`, {
+            type: 'basic',
+            iconUrl: 'icon128.png',
+            title: 'Model ready',
+            message: `${job.label} is downloaded and ready to use on-device.`
+        });
+    }
+    await processQueue();
+}
+
+// The popup reports the progress of a download it started over a port, so
+// the worker notices when the popup closes
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'download-progress') return;
+    let jobId = null;
+    port.onMessage.addListener(({ id, percent }) => {
+        jobId = id;
+        updateProgress(id, Math.round(percent), false);
+    });
+    port.onDisconnect.addListener(() => {
+        if (jobId) loseProgress(jobId);
+    });
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.target === 'offscreen') return;
+
+    if (message.type === 'download') {
+        enqueueDownload(message).then(
+            (id) => sendResponse({ id }),
+            (err) => sendResponse({ error: err.message })
+        );
+        return true;
+    }
+
+    if (message.type === 'download-progress') {
+        updateProgress(message.id, Math.round(message.percent), true);
+    } else if (message.type === 'download-done') {
+        finishDownload(message.id);
+    } else if (message.type === 'download-error') {
+        finishDownload(message.id, { message: message.error, name: message.name });
+    }
+});
@@ -0,0 +1,101 @@
+// Starts and follows model downloads for background.js. Calling create() with
+// a download monitor here keeps progress coming after the popup closes. The
+// browser may refuse without a user gesture: a download the popup already
+// started is then followed by polling availability(), with its progress
+// unknown, and a queued one that never started needs a click in the popup.
+
+const POLL_INTERVAL_MS = 2000;
+// A model that stays merely 'downloadable' this long was dropped, usually
+// because the popup closed before the fetch got going
+const STALLED_AFTER_MS = 60000;
+
+// Jobs being followed, by id; background.js sends the full list each time
+const following = new Map();
+
+// The subset of getApiObject in popup.js needed to find an API by key
+function resolveApi(key) {
+    if (key === 'languageModel') {
+        if (globalThis.LanguageModel) return globalThis.LanguageModel;
+        if (window.ai && window.ai.languageModel) return window.ai.languageModel;
+        return null;
+    }
+    return window[key] || null;
+}
+
+// The subset of probeAvailability in popup.js, including the legacy shapes
+async function availabilityOf(apiObject, args) {
+    if (apiObject.availability) {
+        const result = await apiObject.availability(args || {});
+        return result && typeof result === 'object' ? result.available : result;
+    }
+    if (apiObject.capabilities) return (await apiObject.capabilities()).available;
+    throw new Error("availability() not found");
+}
+
+async function pollUntilAvailable(apiObject, job, signal) {
+    let idleSince = null;
+    while (!signal.aborted) {
+        const status = await availabilityOf(apiObject, job.args);
+        if (status === 'available' || status === 'readily') return;
+        if (status === 'unavailable' || status === 'no') {
+            throw new Error(`${job.label} is not available on this device`);
+        }
+
+        idleSince = status === 'downloading' ? null : idleSince || Date.now();
+        if (idleSince && Date.now() - idleSince > STALLED_AFTER_MS) {
+            throw new Error("The download stopped, start it again from the popup");
+        }
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+}
+
+async function followDownload(job, signal) {
+    try {
+        const apiObject = resolveApi(job.key);
+        if (!apiObject || !apiObject.create) {
+            throw new Error(`${job.key} is not available`);
+        }
+
+        const monitor = (m) => {
+            m.addEventListener('downloadprogress', (e) => {
+                chrome.runtime.sendMessage({ type: 'download-progress', id: job.id, percent: (e.loaded / e.total) * 100 });
+            });
+        };
+
+        try {
+            const session = await apiObject.create(job.args ? { ...job.args, monitor, signal } : { monitor, signal });
+            if (session && typeof session.destroy === 'function') session.destroy();
+        } catch (err) {
+            if (err.name !== 'NotAllowedError') throw err;
+            if (['downloadable', 'after-download'].includes(await availabilityOf(apiObject, job.args))) {
+                throw new Error("This download needs a click to start, press Download in the popup again");
+            }
+            await pollUntilAvailable(apiObject, job, signal);
+        }
+        if (!signal.aborted) chrome.runtime.sendMessage({ type: 'download-done', id: job.id });
+    } catch (err) {
+        // A job background.js dropped has already finished one way or another
+        if (signal.aborted) return;
+        console.error("Download failed", err);
+        chrome.runtime.sendMessage({ type: 'download-error', id: job.id, error: err.message, name: err.name });
+    } finally {
+        if (!signal.aborted) following.delete(job.id);
+    }
+}
+
+chrome.runtime.onMessage.addListener((message) => {
+    if (message.target === 'offscreen' && message.type === 'follow') {
+        const ids = new Set(message.jobs.map(job => job.id));
+        for (const [id, controller] of following) {
+            if (ids.has(id)) continue;
+            controller.abort();
+            following.delete(id);
+        }
+        for (const job of message.jobs) {
+            if (following.has(job.id)) continue;
+            const controller = new AbortController();
+            following.set(job.id, controller);
+            followDownload(job, controller.signal);
+        }
+    }
+});
@@ -5,484 +5,4328 @@ document.addEventListener('DOMContentLoaded', async () => {
         {
             name: 'Language Model (Gemini Nano)',
             key: 'languageModel',
+            policyFeature: 'language-model', // Permissions-Policy name, see probePageAvailability
             namespace: 'globalThis', // Updated to use globalThis
             docs: 'https://developer.chrome.com/docs/ai/prompt-api'
         },
         {
             name: 'Translator',
             key: 'Translator',
-            checkArgs: { sourceLanguage: 'en', targetLanguage: 'es' }
+            policyFeature: 'translator',
+            // Availability is per language pair, see renderTranslatorMatrix
+            languagePairs: true
         },
         {
             name: 'Language Detector',
-            key: 'LanguageDetector'
+            key: 'LanguageDetector',
+            policyFeature: 'language-detector'
         },
         {
             name: 'Summarizer',
-            key: 'Summarizer'
+            key: 'Summarizer',
+            policyFeature: 'summarizer'
         },
         {
             name: 'Writer',
-            key: 'Writer'
+            key: 'Writer',
+            policyFeature: 'writer'
         },
         {
             name: 'Rewriter',
-            key: 'Rewriter'
+            key: 'Rewriter',
+            policyFeature: 'rewriter'
         }
     ];
 
-    async function getTabContent() {
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (!tab) return null;
-        const result = await chrome.scripting.executeScript({
-            target: { tabId: tab.id },
-            func: () => document.body.innerText
-        });
-        return result[0].result;
-    }
+    const DEFAULT_TRANSLATOR_LANGUAGES = ['en', 'es', 'de', 'fr', 'ja'];
 
-    async function runSummarization(text, apiObject) {
-        const CHUNK_SIZE = 4000;
+    const DEFAULT_SUMMARIZER_OPTIONS = { type: 'key-points', format: 'markdown', length: 'medium', outputLanguage: 'en', sharedContext: '' };
 
-        // Base case: text is small enough
-        if (text.length <= CHUNK_SIZE) {
-            const summarizer = await apiObject.create({ type: 'key-points', format: 'markdown', length: 'medium', outputLanguage: 'en' });
-            const result = await summarizer.summarize(text);
-            summarizer.destroy();
-            return result;
+    const SUMMARIZER_CHOICES = {
+        type: ['key-points', 'tldr', 'teaser', 'headline'],
+        format: ['markdown', 'plain-text'],
+        length: ['short', 'medium', 'long'],
+        outputLanguage: ['en', 'es', 'ja']
+    };
+
+    // Writer and Rewriter cards share one playground, see renderPlayground
+    const PLAYGROUNDS = {
+        Writer: {
+            settingKey: 'writerOptions',
+            choices: {
+                tone: ['neutral', 'formal', 'casual'],
+                format: ['markdown', 'plain-text'],
+                length: ['short', 'medium', 'long']
+            },
+            defaults: { tone: 'neutral', format: 'markdown', length: 'medium', sharedContext: '' },
+            placeholder: 'What should be written, e.g. "An email asking for a deadline extension"',
+            runLabel: 'Write',
+            stream: (instance, input, options) => instance.writeStreaming(input, options)
+        },
+        Rewriter: {
+            settingKey: 'rewriterOptions',
+            choices: {
+                tone: ['as-is', 'more-formal', 'more-casual'],
+                format: ['as-is', 'markdown', 'plain-text'],
+                length: ['as-is', 'shorter', 'longer']
+            },
+            defaults: { tone: 'as-is', format: 'as-is', length: 'as-is', sharedContext: '' },
+            placeholder: 'Text to rewrite',
+            runLabel: 'Rewrite',
+            stream: (instance, input, options) => instance.rewriteStreaming(input, options)
         }
+    };
 
-        // Chunking
-        const chunks = [];
-        let currentChunk = '';
-        // Split by simple sentence delimiters to respect boundaries loosely
-        // This is a naive splitter; might need robustness for code/data
-        const sentences = text.match(/[^.!?\n]+[.!?\n]+/g) || [text];
-
-        for (const sentence of sentences) {
-            if ((currentChunk + sentence).length > CHUNK_SIZE) {
-                chunks.push(currentChunk);
-                currentChunk = sentence;
-            } else {
-                currentChunk += sentence;
-            }
+    // Where to look when an API isn't ready, see renderTroubleshooter.
+    // minVersion is the first stable Chrome that exposes the API to
+    // extensions without a flag.
+    const TROUBLESHOOTING = {
+        languageModel: {
+            flags: ['prompt-api-for-gemini-nano', 'optimization-guide-on-device-model'],
+            docs: 'https://developer.chrome.com/docs/ai/prompt-api',
+            minVersion: 138,
+            onDeviceModel: true
+        },
+        Translator: {
+            flags: ['translation-api'],
+            docs: 'https://developer.chrome.com/docs/ai/translator-api',
+            minVersion: 138
+        },
+        LanguageDetector: {
+            flags: ['language-detection-api'],
+            docs: 'https://developer.chrome.com/docs/ai/language-detection',
+            minVersion: 138
+        },
+        Summarizer: {
+            flags: ['summarization-api-for-gemini-nano', 'optimization-guide-on-device-model'],
+            docs: 'https://developer.chrome.com/docs/ai/summarizer-api',
+            minVersion: 138,
+            onDeviceModel: true
+        },
+        Writer: {
+            flags: ['writer-api-for-gemini-nano', 'optimization-guide-on-device-model'],
+            docs: 'https://developer.chrome.com/docs/ai/writer-api',
+            onDeviceModel: true
+        },
+        Rewriter: {
+            flags: ['rewriter-api-for-gemini-nano', 'optimization-guide-on-device-model'],
+            docs: 'https://developer.chrome.com/docs/ai/rewriter-api',
+            onDeviceModel: true
         }
-        if (currentChunk) chunks.push(currentChunk);
+    };
 
-        // Summarize each chunk
-        const chunkSummaries = [];
-        // Use a shared summarizer for chunks potentially? 
-        // Docs say: "Once set, the parameters can't be changed. Create a new summarizer object if you need to make modifications"
-        // We can reuse the same summarizer object for multiple summarize calls if config is same.
-        const summarizer = await apiObject.create({ type: 'key-points', format: 'markdown', length: 'medium', outputLanguage: 'en' });
+    // Filled in by renderApiItem, so use cases can show whether the API
+    // they rely on works here
+    const apiStatuses = new Map();
 
-        try {
-            for (const chunk of chunks) {
-                const summary = await summarizer.summarize(chunk);
-                chunkSummaries.push(summary);
+    // Filled in by renderTranslatePageAction, so Translator snippets use a
+    // pair that works here rather than the first two configured languages
+    let translatorSnippetPair = null;
+
+    // Structured output for both use-case prompts, see renderUseCaseList
+    const USE_CASE_SCHEMA = {
+        type: 'object',
+        properties: {
+            useCases: {
+                type: 'array',
+                minItems: 3,
+                maxItems: 5,
+                items: {
+                    type: 'object',
+                    properties: {
+                        title: { type: 'string' },
+                        description: { type: 'string' },
+                        api: { type: 'string', enum: apis.map(api => api.key) },
+                        requiredInput: { type: 'string' },
+                        effort: { type: 'string', enum: ['low', 'medium', 'high'] },
+                        impact: { type: 'string' }
+                    },
+                    required: ['title', 'description', 'api', 'requiredInput', 'effort', 'impact']
+                }
             }
-        } finally {
-            summarizer.destroy();
-        }
+        },
+        required: ['useCases']
+    };
 
-        // Combine and recurse
-        const combined = chunkSummaries.join('\n\n');
-        return runSummarization(combined, apiObject);
-    }
+    const USE_CASE_FIELDS_PROMPT = `For each use case give a short title, a description, the built-in API it relies on (one of: ${apis.map(api => `${api.key} for ${api.name}`).join(', ')}), the input it needs from the page or user, the estimated implementation effort (low, medium or high) and the expected revenue or UX impact.`;
 
-    async function suggestUseCases(text, apiObject) {
-        // Truncate to avoid token limits (naive truncation)
-        const MAX_CONTEXT = 2500;
-        const truncatedText = text.slice(0, MAX_CONTEXT);
+    async function loadSetting(key, fallback) {
+        const stored = await chrome.storage.local.get(key);
+        return stored[key] !== undefined ? stored[key] : fallback;
+    }
 
-        const systemPrompt = "You are a helpful AI assistant that analyzes web page content to suggest on-device AI use cases.";
-        const userPrompt = `Analyze the following content and list 3-5 potential on-device AI use cases (summarization, translation, rewriting, classification, etc.) that are relevant for this page. The response should be a simple bulleted list.\n\nContent:\n${truncatedText}`;
+    async function saveSetting(key, value) {
+        await chrome.storage.local.set({ [key]: value });
+    }
 
-        try {
-            const session = await apiObject.create({
-                initialPrompts: [
-                    { role: 'system', content: systemPrompt }
-                ]
-            });
+    // The side panel loads this same page with ?view=side-panel, see manifest.json
+    const isSidePanel = new URLSearchParams(location.search).get('view') === 'side-panel';
+    if (isSidePanel) document.body.classList.add('side-panel');
 
-            const result = await session.prompt(userPrompt);
-            session.destroy();
-            return result;
-        } catch (e) {
-            console.error("Prompt API failed", e);
-            throw e;
-        }
+    // Developer toggle, see simulation.js. Installed before any card looks
+    // up its API object.
+    const simulation = await loadSetting('simulation', DEFAULT_SIMULATION);
+    if (simulation.enabled) {
+        installSimulation(simulation);
+        document.getElementById('simulation-banner').hidden = false;
     }
 
-    function getApiNamespace() {
-        if (window.ai) return window.ai;
-        if (window.model) return window.model; // Very old
-        return null;
-    }
+    const extractModeSelect = document.getElementById('extract-mode');
+    const extractInfo = document.getElementById('extract-info');
 
-    function getApiObject(apiDef) {
-        // Special case for LanguageModel which is now on globalThis
-        if (apiDef.key === 'languageModel') {
-            if (globalThis.LanguageModel) {
-                return { api: globalThis.LanguageModel, path: 'globalThis.LanguageModel' };
-            }
-            // Fallback for older implementation or different naming if necessary,
-            // but user explicitly said window.ai.languageModel is deprecated/wrong.
-            // We can check if window.ai.languageModel still exists just in case, but prioritize globalThis.
-            if (window.ai && window.ai.languageModel) {
-                return { api: window.ai.languageModel, path: 'window.ai.languageModel (Deprecated)' };
-            }
-            return { api: null, path: '' };
-        }
+    extractModeSelect.value = await loadSetting('extractionMode', 'main');
+    extractModeSelect.addEventListener('change', () => saveSetting('extractionMode', extractModeSelect.value));
 
-        // If namespace is explicit 'ai', try that first
-        if (apiDef.namespace === 'ai') {
-            if (window.ai && window.ai[apiDef.key]) {
-                return { api: window.ai[apiDef.key], path: `window.ai.${apiDef.key}` };
+    // Runs in the page, so it must stay self-contained. Returns the content as
+    // markdown-ish text (headings, lists and code fences survive) along with
+    // where it came from. mode is 'page', 'main' or 'selection'.
+    function extractPageContent(mode) {
+        // Compared lowercased: tagName is only uppercase for HTML elements, so
+        // an inline <svg> reports 'svg'
+        const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'math', 'canvas', 'video', 'audio', 'select', 'button']);
+        const BLOCK_TAGS = new Set(['P', 'DIV', 'SECTION', 'ARTICLE', 'MAIN', 'HEADER', 'FOOTER', 'ASIDE', 'NAV', 'UL', 'OL', 'DL', 'DT', 'DD', 'TABLE', 'TR', 'FIGURE', 'FIGCAPTION', 'FORM', 'FIELDSET', 'DETAILS', 'SUMMARY', 'HR']);
+        const BOILERPLATE_SELECTOR = 'nav, aside, footer, dialog, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [role="dialog"], [role="alertdialog"], [aria-hidden="true"]';
+        const NEGATIVE = /nav|menu|footer|sidebar|comment|cookie|consent|gdpr|banner|share|social|related|promo|sponsor|advert|\bads?\b|subscribe|newsletter|popup|modal|breadcrumb/i;
+        const POSITIVE = /article|content|main|post|entry|story|text|body/i;
+        const stats = { frames: 0, shadowRoots: 0 };
+
+        function describe(el) {
+            let description = el.tagName.toLowerCase();
+            if (el.id) description += `#${el.id}`;
+            if (typeof el.className === 'string' && el.className.trim()) {
+                description += '.' + el.className.trim().split(/\s+/).slice(0, 2).join('.');
             }
+            return `<${description}>`;
         }
 
-        // Try top-level window property (for Translator, LanguageDetector, etc.)
-        if (window[apiDef.key]) {
-            return { api: window[apiDef.key], path: `window.${apiDef.key}` };
+        function classSignature(el) {
+            return `${el.id} ${typeof el.className === 'string' ? el.className : ''}`;
         }
 
-        // Fallback checks
-        if (apiDef.fallback && window[apiDef.fallback]) {
-            return { api: window[apiDef.fallback], path: `window.${apiDef.fallback}` };
+        function isBoilerplate(el) {
+            if (el.matches(BOILERPLATE_SELECTOR)) return true;
+            if (el.tagName === 'HEADER' && !el.closest('article, main, [role="main"]')) return true;
+            // Search boxes and sign-up forms, but not pages wrapped in one big form
+            if (el.tagName === 'FORM' && (el.innerText || '').trim().length < 200) return true;
+            const signature = classSignature(el);
+            return NEGATIVE.test(signature) && !POSITIVE.test(signature);
         }
 
-        return { api: null, path: '' };
-    }
+        function serialize(root, skipBoilerplate) {
+            const blocks = [];
+            let inline = '';
+            let pendingPrefix = '';
 
-    async function checkAvailability(apiObject, args) {
-        if (!apiObject) return 'unavailable';
-        try {
-            if (typeof apiObject.availability === 'function') {
-                let status;
-                // If we have specific args, try those first
-                if (args) {
-                    try {
-                        status = await apiObject.availability(args);
-                    } catch (e) {
-                        console.warn('Availability check with args failed, trying no-args', e);
-                    }
+            const flush = () => {
+                const text = inline.replace(/\s+/g, ' ').trim();
+                if (text) {
+                    blocks.push(pendingPrefix + text);
+                    pendingPrefix = '';
                 }
+                inline = '';
+            };
 
-                // If still undefined (no args or args failed), try no-args
-                if (status === undefined) {
+            function walkChildren(node, listDepth) {
+                for (const child of node.childNodes) walk(child, listDepth);
+            }
+
+            function walk(node, listDepth) {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    inline += node.nodeValue;
+                    return;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+                const el = node;
+                const tag = el.tagName;
+                if (SKIP_TAGS.has(tag.toLowerCase())) return;
+                if (el.checkVisibility && !el.checkVisibility()) return;
+                if (skipBoilerplate && isBoilerplate(el)) return;
+
+                if (tag === 'IFRAME') {
                     try {
-                        status = await apiObject.availability();
+                        const doc = el.contentDocument;
+                        if (doc && doc.body) {
+                            stats.frames++;
+                            flush();
+                            walk(doc.body, listDepth);
+                            flush();
+                        }
                     } catch (e) {
-                        // This is expected if the API *requires* args and we didn't provide them or they failed
-                        console.warn('Availability check without args failed', e);
-                        // If we already tried args and failed, and now no-args failed, return error or unavailable?
-                        // If the API requires args, and we provided them and it failed, it might be an error.
-                        // But if we didn't provide args and it requires them, it's an error in our config.
-                        if (args) return 'error';
+                        // Cross-origin frames can't be read
                     }
+                    return;
                 }
 
-                if (status === undefined) return 'error';
-
-                if (typeof status === 'object') {
-                    if (status.available) return status.available;
-                    return 'available_object';
+                if (tag === 'SLOT') {
+                    const assigned = el.assignedNodes({ flatten: true });
+                    for (const child of assigned.length ? assigned : el.childNodes) walk(child, listDepth);
+                    return;
                 }
-                return status;
-            }
-            return 'available_unknown_methods';
-        } catch (e) {
-            console.error('Error checking availability:', e);
-            return 'error';
-        }
-    }
 
-    async function renderApiItem(apiDef) {
-        const card = document.createElement('div');
-        card.className = 'api-card';
+                if (tag === 'BR') {
+                    flush();
+                    return;
+                }
 
-        const { api: apiObject, path } = getApiObject(apiDef);
-        const status = await checkAvailability(apiObject, apiDef.checkArgs);
+                if (tag === 'PRE') {
+                    flush();
+                    blocks.push('```\n' + el.innerText.replace(/\n+$/, '') + '\n```');
+                    return;
+                }
 
-        // Header
-        const header = document.createElement('div');
-        header.className = 'api-header';
+                const heading = /^H([1-6])$/.exec(tag);
+                if (heading || tag === 'LI' || tag === 'BLOCKQUOTE') {
+                    flush();
+                    if (heading) {
+                        pendingPrefix = '#'.repeat(Number(heading[1])) + ' ';
+                    } else if (tag === 'LI') {
+                        const marker = el.parentElement && el.parentElement.tagName === 'OL' ? '1. ' : '- ';
+                        pendingPrefix = '  '.repeat(Math.max(0, listDepth - 1)) + marker;
+                    } else {
+                        pendingPrefix = '> ';
+                    }
+                }
 
-        const name = document.createElement('div');
-        name.className = 'api-name';
-        name.textContent = apiDef.name;
+                const isBlock = BLOCK_TAGS.has(tag);
+                if (isBlock) flush();
+                if ((tag === 'TD' || tag === 'TH') && el.previousElementSibling) inline += ' | ';
 
-        const badge = document.createElement('div');
-        badge.className = `status-badge ${status}`;
-        badge.textContent = status;
+                const childDepth = tag === 'UL' || tag === 'OL' ? listDepth + 1 : listDepth;
+                if (el.shadowRoot) {
+                    // Open shadow roots render the light DOM through their slots
+                    stats.shadowRoots++;
+                    walkChildren(el.shadowRoot, childDepth);
+                } else {
+                    walkChildren(el, childDepth);
+                }
 
-        header.appendChild(name);
-        header.appendChild(badge);
-        card.appendChild(header);
+                if (isBlock || heading || tag === 'LI' || tag === 'BLOCKQUOTE') {
+                    flush();
+                    pendingPrefix = '';
+                }
+            }
 
-        // Details
-        const details = document.createElement('div');
-        details.className = 'api-details';
-        details.textContent = path || 'Not found';
-        card.appendChild(details);
+            walk(root, 0);
+            flush();
+            return blocks.join('\n\n');
+        }
 
-        // Download Action
-        const isDownloadable = status === 'after-download' || status === 'downloadable' || status === 'readily'; // readily might mean we just want to verify? No, usually not.
-        // Actually, sometimes 'readily' means it is ready, so no download needed.
-        // But 'downloadable' means we can download it.
-        // 'after-download' is the old string? Prompt API says 'after-download'.
+        // Readability-style scoring: paragraphs vote for their parent and,
+        // at half weight, their grandparent; link-heavy containers lose.
+        function findMainContent() {
+            const scores = new Map();
+            const addScore = (el, score) => {
+                if (!el || el === document.documentElement) return;
+                if (!scores.has(el)) {
+                    let base = 0;
+                    if (el.matches('article, main, [role="main"]')) base += 25;
+                    const signature = classSignature(el);
+                    if (POSITIVE.test(signature)) base += 25;
+                    if (NEGATIVE.test(signature)) base -= 25;
+                    scores.set(el, base);
+                }
+                scores.set(el, scores.get(el) + score);
+            };
 
-        if (status === 'after-download' || status === 'downloadable') {
-            const actions = document.createElement('div');
-            actions.className = 'actions';
+            for (const paragraph of document.body.querySelectorAll('p, pre, li, td, blockquote')) {
+                const text = paragraph.innerText || '';
+                if (text.trim().length < 25) continue;
+                const score = 1 + text.split(/[,，、]/).length + Math.min(3, Math.floor(text.length / 100));
+                addScore(paragraph.parentElement, score);
+                addScore(paragraph.parentElement && paragraph.parentElement.parentElement, score / 2);
+            }
 
-            const btn = document.createElement('button');
-            btn.className = 'download-btn';
-            btn.textContent = 'Download Model';
+            let best = null;
+            let bestScore = 0;
+            for (const [el, score] of scores) {
+                const textLength = (el.innerText || '').length || 1;
+                const linkLength = [...el.querySelectorAll('a')].reduce((sum, a) => sum + (a.innerText || '').length, 0);
+                const finalScore = score * (1 - Math.min(1, linkLength / textLength));
+                if (finalScore > bestScore) {
+                    best = el;
+                    bestScore = finalScore;
+                }
+            }
+            return best;
+        }
 
-            const progressContainer = document.createElement('div');
-            progressContainer.className = 'progress-container';
-            const progressBar = document.createElement('div');
-            progressBar.className = 'progress-bar';
-            progressContainer.appendChild(progressBar);
+        if (mode === 'selection') {
+            const field = document.activeElement;
+            const text = field && typeof field.selectionStart === 'number' && field.selectionEnd > field.selectionStart
+                ? field.value.slice(field.selectionStart, field.selectionEnd)
+                : window.getSelection().toString();
+            return { text, source: 'current selection', ...stats };
+        }
 
-            const errorMsg = document.createElement('div');
-            errorMsg.className = 'error-msg';
+        if (mode === 'main') {
+            const main = findMainContent();
+            if (main) {
+                const text = serialize(main, true);
+                // Very short picks are usually a teaser box, not the article
+                if (text.length >= 200) return { text, source: `main content ${describe(main)}`, ...stats };
+                // Don't count frames and shadow roots twice
+                stats.frames = 0;
+                stats.shadowRoots = 0;
+            }
+            return { text: serialize(document.body, true), source: 'whole page without boilerplate', ...stats };
+        }
 
-            btn.onclick = async () => {
-                btn.disabled = true;
-                progressContainer.classList.add('active');
-                errorMsg.style.display = 'none';
+        return { text: serialize(document.body, false), source: 'whole page', ...stats };
+    }
 
-                try {
-                    let session;
-                    const monitor = (m) => {
-                        m.addEventListener('downloadprogress', (e) => {
-                            const percent = (e.loaded / e.total) * 100;
-                            progressBar.style.width = `${percent}%`;
-                            btn.textContent = `Downloading ${Math.round(percent)}%...`;
-                        });
-                    };
+    // Content extracted once when the popup opens, for cache lookups
+    let initialContent = null;
 
-                    const createArgs = apiDef.checkArgs ? { ...apiDef.checkArgs, monitor } : { monitor };
+    function getInitialContent() {
+        if (!initialContent) initialContent = getTabContent().catch(() => null);
+        return initialContent;
+    }
 
-                    if (apiObject.create) {
-                        session = await apiObject.create(createArgs);
-                    } else {
-                        throw new Error("Create method not found");
-                    }
+    async function extractFromTab(tabId) {
+        const result = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: extractPageContent,
+            args: [extractModeSelect.value]
+        });
+        return result[0].result;
+    }
 
-                    btn.textContent = 'Downloaded!';
-                    btn.onclick = null;
-                    badge.className = 'status-badge readily';
-                    badge.textContent = 'readily';
+    async function getTabContent() {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab) return null;
+        const extracted = await extractFromTab(tab.id);
 
-                    // Re-render to show Summarize button if applicable
-                    setTimeout(() => {
-                        // Simple reload to refresh state is easiest for this demo
-                        window.location.reload();
-                    }, 1000);
+        const extras = [];
+        if (extracted.frames) extras.push(`${extracted.frames} frame${extracted.frames === 1 ? '' : 's'}`);
+        if (extracted.shadowRoots) extras.push(`${extracted.shadowRoots} shadow root${extracted.shadowRoots === 1 ? '' : 's'}`);
+        extractInfo.textContent = `Extracted ${extracted.text.length.toLocaleString()} characters from ${extracted.source}`
+            + (extras.length ? ` (incl. ${extras.join(', ')})` : '');
 
-                    if (session && typeof session.destroy === 'function') session.destroy();
+        return extracted.text;
+    }
 
-                } catch (err) {
-                    console.error("Download failed", err);
-                    errorMsg.textContent = "Download failed: " + err.message;
-                    errorMsg.style.display = 'block';
-                    btn.textContent = 'Retry Download';
-                    btn.disabled = false;
+    async function getTabSelection() {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab) return null;
+        const result = await chrome.scripting.executeScript({
+            target: { tabId: tab.id },
+            func: () => {
+                // getSelection() doesn't see selections inside form fields
+                const field = document.activeElement;
+                if (field && typeof field.selectionStart === 'number' && field.selectionEnd > field.selectionStart) {
+                    return field.value.slice(field.selectionStart, field.selectionEnd);
                 }
-            };
+                return window.getSelection().toString();
+            }
+        });
+        return result[0].result;
+    }
 
-            actions.appendChild(btn);
-            card.appendChild(actions);
-            card.appendChild(progressContainer);
-            card.appendChild(errorMsg);
-        } else if (apiDef.key === 'Summarizer' && (status === 'available' || status === 'readily')) {
-            const actions = document.createElement('div');
-            actions.className = 'actions';
+    async function getPageIdentity() {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        return tab && tab.url ? { url: tab.url, title: tab.title || tab.url } : null;
+    }
 
-            const btn = document.createElement('button');
-            btn.className = 'download-btn'; // Re-use style
-            btn.textContent = 'Summarize Page';
+    // Results of summaries and use-case prompts are cached in
+    // chrome.storage.local under one 'history' object, keyed by kind, URL and
+    // hashes of the extracted content and the options used.
+    const MAX_HISTORY_BYTES = 2 * 1024 * 1024;
 
-            const summaryOutput = document.createElement('div');
-            summaryOutput.className = 'summary-output';
-            summaryOutput.style.marginTop = '10px';
-            summaryOutput.style.fontSize = '0.9rem';
-            summaryOutput.style.whiteSpace = 'pre-wrap';
-            summaryOutput.style.padding = '8px';
-            summaryOutput.style.background = '#f1f5f9';
-            summaryOutput.style.borderRadius = '4px';
-            summaryOutput.style.display = 'none';
+    async function hashText(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return [...new Uint8Array(digest)].slice(0, 8).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
 
-            btn.onclick = async () => {
-                btn.disabled = true;
-                btn.textContent = 'Summarizing...';
-                summaryOutput.style.display = 'none';
-                summaryOutput.textContent = '';
+    async function cacheKey(kind, url, content, options) {
+        return `${kind}|${url}|${await hashText(content)}|${await hashText(JSON.stringify(options || {}))}`;
+    }
 
-                // Remove any existing use case buttons/outputs if re-summarizing
-                const existingUseCaseBtn = actions.querySelector('.use-case-btn');
-                if (existingUseCaseBtn) existingUseCaseBtn.remove();
-                const existingUseCaseOutput = actions.querySelector('.use-case-output');
-                if (existingUseCaseOutput) existingUseCaseOutput.remove();
+    async function readHistory() {
+        const { history } = await chrome.storage.local.get('history');
+        return history || {};
+    }
 
-                try {
-                    const text = await getTabContent();
-                    if (!text) throw new Error("No text found on page");
+    function historySize(history) {
+        return new Blob([JSON.stringify(history)]).size;
+    }
 
-                    const summary = await runSummarization(text, apiObject);
+    // Serializes read-modify-write cycles on the history, so cards and batch
+    // items finishing together don't drop each other's entries
+    let historyUpdate = Promise.resolve();
 
-                    summaryOutput.textContent = summary;
-                    summaryOutput.style.display = 'block';
-                    btn.textContent = 'Summarize Page';
-                    btn.disabled = false;
+    function updateHistory(mutate) {
+        const next = historyUpdate.then(async () => {
+            const history = await readHistory();
+            const result = mutate(history);
+            await chrome.storage.local.set({ history });
+            return result;
+        });
+        historyUpdate = next.catch(() => {});
+        return next;
+    }
 
-                    // Add "Create Use Cases" button if Language Model is available
-                    if (globalThis.LanguageModel || (window.ai && window.ai.languageModel)) {
-                        const useCaseBtn = document.createElement('button');
-                        useCaseBtn.className = 'download-btn use-case-btn';
-                        useCaseBtn.textContent = 'Create Use Cases';
-                        useCaseBtn.style.marginTop = '8px';
-                        useCaseBtn.style.backgroundColor = '#8b5cf6'; // Violet color to distinguish
-
-                        // Hover effect for violet button
-                        useCaseBtn.onmouseover = () => useCaseBtn.style.backgroundColor = '#7c3aed';
-                        useCaseBtn.onmouseout = () => useCaseBtn.style.backgroundColor = '#8b5cf6';
-
-                        const useCaseOutput = document.createElement('div');
-                        useCaseOutput.className = 'use-case-output';
-                        useCaseOutput.style.marginTop = '10px';
-                        useCaseOutput.style.fontSize = '0.9rem';
-                        useCaseOutput.style.whiteSpace = 'pre-wrap';
-                        useCaseOutput.style.padding = '8px';
-                        useCaseOutput.style.background = '#f1f5f9';
-                        useCaseOutput.style.borderRadius = '4px';
-                        useCaseOutput.style.display = 'none';
+    function getCachedResult(key) {
+        return updateHistory((history) => {
+            const entry = history[key];
+            if (!entry) return null;
+            entry.lastUsed = Date.now();
+            return entry;
+        });
+    }
 
-                        useCaseBtn.onclick = async () => {
-                            useCaseBtn.disabled = true;
-                            useCaseBtn.textContent = 'Ideating...';
-                            useCaseOutput.style.display = 'none';
-                            useCaseOutput.textContent = '';
+    // Evicts least recently used entries once the history outgrows its budget
+    function storeResult(key, entry) {
+        return updateHistory((history) => {
+            history[key] = { ...entry, key, createdAt: Date.now(), lastUsed: Date.now() };
+            const byLastUse = Object.values(history).sort((a, b) => a.lastUsed - b.lastUsed);
+            while (byLastUse.length > 1 && historySize(history) > MAX_HISTORY_BYTES) {
+                delete history[byLastUse.shift().key];
+            }
+        });
+    }
 
-                            try {
-                                const systemPrompt = "You are a Product Manager for the page being analyzed. You want to optimize revenue. Analyze the following summary of a webpage and ideate 3-5 innovative use cases for the Prompt API (on-device AI) that could be implemented for this specific page.";
-                                const userPrompt = `Summary:\n${summary}`;
-
-                                const capabilities = await (globalThis.LanguageModel || window.ai.languageModel).capabilities();
-                                let session;
-                                if (capabilities && capabilities.available !== 'no') { // Check availability first
-                                    session = await (globalThis.LanguageModel || window.ai.languageModel).create({
-                                        systemPrompt: systemPrompt // Note: check supportsSystemPrompt if strictly needed, but Prompt API often takes it in config or initial prompts
-                                    });
-                                } else {
-                                    throw new Error("Language Model not available");
-                                }
-
-                                // Provide system prompt as initial prompt if supported or just separate
-                                // Actually, `create({ systemPrompt: ... })` is the modern way if supported, 
-                                // or `initialPrompts` if older. Let's try `systemPrompt` param first or fallback.
-                                // For simplicity/robustness with current API:
-                                // "systemPrompt" is a valid option in `create()`.
-
-                                const result = await session.prompt(userPrompt);
-
-                                useCaseOutput.textContent = result;
-                                useCaseOutput.style.display = 'block';
-                                useCaseBtn.textContent = 'Create Use Cases';
-                                useCaseBtn.disabled = false;
+    function renderCacheNote(entry) {
+        const note = document.createElement('div');
+        note.className = 'api-details cache-note';
+        note.textContent = `Cached result from ${new Date(entry.createdAt).toLocaleString()}`;
+        return note;
+    }
+
+    // Older Chrome builds emit the whole text so far on every chunk, newer
+    // ones only the delta; accept both.
+    async function consumeStream(stream, onUpdate) {
+        let text = '';
+        for await (const chunk of stream) {
+            text = text && chunk.startsWith(text) ? chunk : text + chunk;
+            if (onUpdate) onUpdate(text);
+        }
+        return text;
+    }
+
+    function isAbortError(err) {
+        return err && err.name === 'AbortError';
+    }
+
+    // Drops empty free-text fields, which create() would otherwise pass on
+    function toCreateOptions(values) {
+        return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== ''));
+    }
+
+    const MAX_SUMMARY_PASSES = 5;
+    const CHUNK_OVERLAP = 0.1;
+
+    // Splits text into pieces that shouldn't be broken apart: fenced code
+    // blocks, list items and sentences (including CJK sentence punctuation).
+    // Joining the result gives back the input unchanged.
+    function splitIntoSegments(text) {
+        const segments = [];
+        for (const block of text.split(/(```[\s\S]*?```\n?)/)) {
+            if (!block) continue;
+            if (block.startsWith('```')) {
+                segments.push(block);
+                continue;
+            }
+            for (const line of block.match(/[^\n]*\n+|[^\n]+$/g) || []) {
+                if (/^\s*([-*•]|\d+[.)])\s/.test(line)) {
+                    segments.push(line);
+                    continue;
+                }
+                segments.push(...(line.match(/[^.!?。！？]*[.!?。！？]+["'”’)\]]*\s*|[^.!?。！？]+$/g) || [line]));
+            }
+        }
+        return segments;
+    }
+
+    // Last resort for text without usable punctuation: split on whitespace,
+    // and by characters when a single "word" is still too long (e.g. CJK).
+    function hardSplit(text, maxChars) {
+        const parts = [];
+        let current = '';
+        for (const word of text.match(/\S+\s*|\s+/g) || []) {
+            if (word.length > maxChars) {
+                if (current) parts.push(current);
+                current = '';
+                const chars = [...word];
+                for (let i = 0; i < chars.length; i += maxChars) {
+                    parts.push(chars.slice(i, i + maxChars).join(''));
+                }
+                continue;
+            }
+            if (current && (current + word).length > maxChars) {
+                parts.push(current);
+                current = '';
+            }
+            current += word;
+        }
+        if (current) parts.push(current);
+        return parts;
+    }
+
+    // Counts tokens with the instance's own tokenizer where the API exposes
+    // it, otherwise estimates roughly four characters per token.
+    function createTokenCounter(instance, signal) {
+        if (typeof instance.measureInputUsage === 'function') {
+            return (text) => instance.measureInputUsage(text, { signal });
+        }
+        return async (text) => Math.ceil(text.length / 4);
+    }
+
+    function getInputBudget(instance, fallback) {
+        if (!Number.isFinite(instance.inputQuota)) return fallback;
+        const used = Number.isFinite(instance.inputUsage) ? instance.inputUsage : 0;
+        return Math.floor((instance.inputQuota - used) * 0.9);
+    }
+
+    // Packs segments into chunks of at most `budget` tokens. Sizes are
+    // estimated from a calibrated chars-per-token ratio and each chunk is then
+    // verified with the real counter. Consecutive chunks share up to
+    // `overlapTokens` of trailing segments so nothing is lost at a boundary.
+    async function chunkByQuota(text, countTokens, budget, overlapTokens) {
+        const sample = text.slice(0, 2000);
+        const charsPerToken = Math.max(1, sample.length / Math.max(1, await countTokens(sample)));
+        const estimate = (segment) => Math.ceil(segment.length / charsPerToken);
+
+        const segments = [];
+        for (const segment of splitIntoSegments(text)) {
+            if (estimate(segment) <= budget) {
+                segments.push(segment);
+            } else {
+                segments.push(...hardSplit(segment, Math.floor(budget * charsPerToken * 0.9)));
+            }
+        }
+
+        const chunks = [];
+        let start = 0;
+        while (start < segments.length) {
+            let end = start;
+            let size = 0;
+            while (end < segments.length && (end === start || size + estimate(segments[end]) <= budget)) {
+                size += estimate(segments[end]);
+                end++;
+            }
+
+            let chunk = segments.slice(start, end).join('');
+            while (end - start > 1 && await countTokens(chunk) > budget) {
+                end--;
+                chunk = segments.slice(start, end).join('');
+            }
+            chunks.push(chunk);
+            if (end >= segments.length) break;
+
+            let next = end;
+            let overlap = 0;
+            while (next - 1 > start && overlap + estimate(segments[next - 1]) <= overlapTokens) {
+                next--;
+                overlap += estimate(segments[next]);
+            }
+            start = next;
+        }
+        return chunks;
+    }
+
+    // options.summarizerOptions holds the create() options chosen on the card,
+    // options.onProgress receives { chunk, chunks, pass } before each summarize
+    // call, options.onUpdate the partial text of the final pass as it streams.
+    async function runSummarization(text, apiObject, options = {}, pass = 1) {
+        const { signal, onProgress, onUpdate } = options;
+        const summarizerOptions = toCreateOptions({ ...DEFAULT_SUMMARIZER_OPTIONS, ...options.summarizerOptions });
+
+        let chunks;
+        const summarizer = await apiObject.create({ ...summarizerOptions, signal });
+        try {
+            const countTokens = createTokenCounter(summarizer, signal);
+            const budget = getInputBudget(summarizer, 1000);
+
+            // Base case: text fits in a single call
+            if (await countTokens(text) <= budget) {
+                if (onProgress) onProgress({ chunk: 1, chunks: 1, pass });
+                if (typeof summarizer.summarizeStreaming === 'function') {
+                    return await consumeStream(summarizer.summarizeStreaming(text, { signal }), onUpdate);
+                }
+                return await summarizer.summarize(text, { signal });
+            }
+
+            if (options.lastPass) {
+                throw new Error(`The page is too long to summarize, the chunk summaries stopped shrinking after pass ${pass - 1}. Try extracting the main content or a selection.`);
+            }
+
+            chunks = await chunkByQuota(text, countTokens, budget, Math.floor(budget * CHUNK_OVERLAP));
+        } finally {
+            summarizer.destroy();
+        }
+
+        // Summarize each chunk
+        const chunkSummaries = [];
+        // Docs say: "Once set, the parameters can't be changed. Create a new summarizer object if you need to make modifications"
+        // We can reuse the same summarizer object for multiple summarize calls if config is same.
+        // Intermediate passes keep key points so a headline or teaser is only
+        // written once, from the condensed text.
+        const chunkSummarizer = await apiObject.create({
+            ...summarizerOptions,
+            type: 'key-points',
+            format: 'markdown',
+            signal
+        });
+
+        try {
+            for (const [i, chunk] of chunks.entries()) {
+                if (onProgress) onProgress({ chunk: i + 1, chunks: chunks.length, pass });
+                const summary = await chunkSummarizer.summarize(chunk, { signal });
+                chunkSummaries.push(summary);
+            }
+        } finally {
+            chunkSummarizer.destroy();
+        }
+
+        // Combine and recurse
+        if (signal) signal.throwIfAborted();
+        const combined = chunkSummaries.join('\n\n');
+
+        // Stop when summaries no longer shrink, rather than looping forever.
+        // The last pass still writes the chosen type and fails loudly when
+        // the chunk summaries don't fit into one call.
+        const lastPass = pass >= MAX_SUMMARY_PASSES || combined.length >= text.length * 0.9;
+        return runSummarization(combined, apiObject, { ...options, lastPass }, pass + 1);
+    }
+
+    // Map-reduce over the whole page: each chunk is condensed into notes in a
+    // clone of the base session (history counts against the quota), repeating
+    // until the notes fit, then the use cases are written from the notes.
+    async function suggestUseCases(text, apiObject, options = {}) {
+        const { signal, onUpdate, onProgress } = options;
+
+        const systemPrompt = "You are a helpful AI assistant that analyzes web page content to suggest on-device AI use cases.";
+        const mapPrompt = "Write concise notes on the topics, purpose and audience of the following part of a web page. Only output the notes.";
+        const reducePrompt = `Analyze the following content and suggest 3-5 potential on-device AI use cases (summarization, translation, rewriting, classification, etc.) that are relevant for this page. ${USE_CASE_FIELDS_PROMPT}`;
+
+        try {
+            const session = await apiObject.create({
+                initialPrompts: [
+                    { role: 'system', content: systemPrompt }
+                ],
+                signal
+            });
+
+            try {
+                const countTokens = createTokenCounter(session, signal);
+                // Leave room for the instructions and the answer
+                const budget = Math.floor(getInputBudget(session, 700) * 0.75);
+
+                let notes = text;
+                let previousLength = Infinity;
+                for (let pass = 1; await countTokens(notes) > budget; pass++) {
+                    // Never drop part of the page; say so when the notes stop shrinking
+                    if (pass > MAX_SUMMARY_PASSES || notes.length >= previousLength * 0.9) {
+                        throw new Error(`The page is too long to analyze, the notes stopped shrinking after pass ${pass - 1}. Try extracting the main content or a selection.`);
+                    }
+                    previousLength = notes.length;
+                    const chunks = await chunkByQuota(notes, countTokens, budget, Math.floor(budget * CHUNK_OVERLAP));
+
+                    const chunkNotes = [];
+                    for (const [i, chunk] of chunks.entries()) {
+                        if (onProgress) onProgress({ chunk: i + 1, chunks: chunks.length, pass });
+                        const branch = typeof session.clone === 'function'
+                            ? await session.clone({ signal })
+                            : await apiObject.create({ initialPrompts: [{ role: 'system', content: systemPrompt }], signal });
+                        try {
+                            chunkNotes.push(await branch.prompt(`${mapPrompt}\n\nContent:\n${chunk}`, { signal }));
+                        } finally {
+                            branch.destroy();
+                        }
+                    }
+                    notes = chunkNotes.join('\n\n');
+                }
+
+                const result = await consumeStream(session.promptStreaming(`${reducePrompt}\n\nContent:\n${notes}`, {
+                    signal,
+                    responseConstraint: USE_CASE_SCHEMA
+                }), onUpdate);
+                return parseUseCases(result);
+            } finally {
+                session.destroy();
+            }
+        } catch (e) {
+            if (!isAbortError(e)) console.error("Prompt API failed", e);
+            throw e;
+        }
+    }
+
+    // Builds a collapsible panel with a <select> per key of `choices` and a
+    // textarea per entry of `textFields`, preset from `current`.
+    function renderOptionsPanel(choices, textFields, current) {
+        const panel = document.createElement('details');
+        panel.className = 'options-panel';
+
+        const summary = document.createElement('summary');
+        summary.textContent = 'Options';
+        panel.appendChild(summary);
+
+        const grid = document.createElement('div');
+        grid.className = 'options-grid';
+        panel.appendChild(grid);
+
+        const inputs = {};
+        for (const [key, values] of Object.entries(choices)) {
+            const label = document.createElement('label');
+            label.textContent = key;
+            const select = document.createElement('select');
+            for (const value of values) select.appendChild(new Option(value, value));
+            if (values.includes(current[key])) select.value = current[key];
+            label.appendChild(select);
+            grid.appendChild(label);
+            inputs[key] = select;
+        }
+
+        for (const key of textFields) {
+            const label = document.createElement('label');
+            label.className = 'options-wide';
+            label.textContent = key;
+            const textarea = document.createElement('textarea');
+            textarea.rows = 2;
+            textarea.value = current[key] || '';
+            label.appendChild(textarea);
+            grid.appendChild(label);
+            inputs[key] = textarea;
+        }
+
+        return {
+            element: panel,
+            inputs,
+            getValues: () => Object.fromEntries(Object.entries(inputs).map(([key, input]) => [key, input.value.trim()]))
+        };
+    }
+
+    async function renderPlayground(apiObject, playground) {
+        const actions = document.createElement('div');
+        actions.className = 'actions';
+        actions.style.flexDirection = 'column';
+
+        const savedOptions = await loadSetting(playground.settingKey, playground.defaults);
+        const optionsPanel = renderOptionsPanel(playground.choices, ['sharedContext', 'context'], savedOptions);
+
+        const input = document.createElement('textarea');
+        input.className = 'playground-input';
+        input.rows = 4;
+        input.placeholder = playground.placeholder;
+
+        const selectionBtn = document.createElement('button');
+        selectionBtn.className = 'download-btn secondary-btn';
+        selectionBtn.textContent = 'Use selected text from the page';
+
+        const btn = document.createElement('button');
+        btn.className = 'download-btn';
+        btn.textContent = playground.runLabel;
+
+        const stopBtn = createStopButton();
+        let controller = null;
+        stopBtn.onclick = () => controller && controller.abort();
+
+        const output = document.createElement('div');
+        output.className = 'playground-output';
+        output.style.display = 'none';
+
+        selectionBtn.onclick = async () => {
+            try {
+                const selection = await getTabSelection();
+                if (!selection) throw new Error("Nothing is selected on the page");
+                input.value = selection;
+            } catch (err) {
+                console.error("Reading selection failed", err);
+                output.textContent = "Error: " + err.message;
+                output.style.display = 'block';
+            }
+        };
+
+        btn.onclick = async () => {
+            btn.disabled = true;
+            output.textContent = '';
+            output.style.display = 'none';
+            controller = new AbortController();
+            stopBtn.style.display = 'block';
+
+            try {
+                const text = input.value.trim();
+                if (!text) throw new Error("Enter some input first");
+
+                // `context` is per call, everything else configures the instance
+                const { context, ...values } = optionsPanel.getValues();
+                await saveSetting(playground.settingKey, { ...values, context });
+
+                const { sharedContext, ...availabilityArgs } = values;
+                const comboAvailability = await checkAvailability(apiObject, availabilityArgs);
+                if (['unavailable', 'no', 'error'].includes(comboAvailability)) {
+                    throw new Error(`${playground.runLabel} is ${comboAvailability} for these options`);
+                }
+
+                btn.textContent = 'Preparing...';
+                const instance = await apiObject.create({ ...toCreateOptions(values), signal: controller.signal });
+                try {
+                    btn.textContent = 'Generating...';
+                    const callOptions = context ? { context, signal: controller.signal } : { signal: controller.signal };
+                    output.textContent = await consumeStream(playground.stream(instance, text, callOptions), (partial) => {
+                        output.textContent = partial;
+                        output.style.display = 'block';
+                    });
+                } finally {
+                    instance.destroy();
+                }
+                output.style.display = 'block';
+            } catch (err) {
+                if (isAbortError(err)) {
+                    output.textContent += output.textContent ? '\n\n[Stopped]' : '[Stopped]';
+                } else {
+                    console.error(`${playground.runLabel} failed`, err);
+                    output.textContent = "Error: " + err.message;
+                }
+                output.style.display = 'block';
+            } finally {
+                btn.textContent = playground.runLabel;
+                btn.disabled = false;
+                stopBtn.style.display = 'none';
+            }
+        };
+
+        actions.appendChild(optionsPanel.element);
+        actions.appendChild(input);
+        actions.appendChild(selectionBtn);
+        actions.appendChild(btn);
+        actions.appendChild(stopBtn);
+        actions.appendChild(output);
+        return actions;
+    }
+
+    function parseUseCases(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (e) {
+            throw new Error("The model did not return valid JSON");
+        }
+        if (!parsed || !Array.isArray(parsed.useCases)) {
+            throw new Error("The model's answer is missing the use case list");
+        }
+        return parsed.useCases;
+    }
+
+    function getApiName(key) {
+        const apiDef = apis.find(api => api.key === key);
+        return apiDef ? apiDef.name : key;
+    }
+
+    function useCaseToMarkdown(useCase) {
+        return [
+            `### ${useCase.title}`,
+            '',
+            useCase.description,
+            '',
+            `- **API:** ${getApiName(useCase.api)} (${apiStatuses.get(useCase.api) || 'unknown'} here)`,
+            `- **Input:** ${useCase.requiredInput}`,
+            `- **Effort:** ${useCase.effort}`,
+            `- **Impact:** ${useCase.impact}`
+        ].join('\n');
+    }
+
+    function downloadJson(filename, data) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    async function copyWithFeedback(btn, text) {
+        const label = btn.textContent;
+        try {
+            await navigator.clipboard.writeText(text);
+            btn.textContent = 'Copied!';
+        } catch (err) {
+            console.error("Copy failed", err);
+            btn.textContent = 'Copy failed';
+        }
+        setTimeout(() => { btn.textContent = label; }, 1500);
+    }
+
+    // Method the generated snippets call on each API's instance, see
+    // generateSnippet. `input` names the snippet function's first parameter.
+    const SNIPPET_CALLS = {
+        languageModel: { name: 'prompt', method: 'promptStreaming', input: 'input' },
+        Translator: { name: 'translate', method: 'translateStreaming', input: 'text' },
+        LanguageDetector: { name: 'detectLanguage', method: 'detect', input: 'text', streaming: false },
+        Summarizer: { name: 'summarize', method: 'summarizeStreaming', input: 'text' },
+        Writer: { name: 'write', method: 'writeStreaming', input: 'task' },
+        Rewriter: { name: 'rewrite', method: 'rewriteStreaming', input: 'text' }
+    };
+
+    const SNIPPET_FORMATS = { js: 'JavaScript module', ts: 'TypeScript', react: 'React hook' };
+
+    // The options the card currently uses: `args` for availability(),
+    // `options` for create() and `callOptions` for the call itself
+    async function getSnippetConfig(apiDef) {
+        if (apiDef.key === 'Summarizer') {
+            const options = toCreateOptions(await loadSetting('summarizerOptions', DEFAULT_SUMMARIZER_OPTIONS));
+            const { sharedContext, ...args } = options;
+            return { args, options, callOptions: {} };
+        }
+        const playground = PLAYGROUNDS[apiDef.key];
+        if (playground) {
+            const { context, ...values } = await loadSetting(playground.settingKey, playground.defaults);
+            const options = toCreateOptions(values);
+            const { sharedContext, ...args } = options;
+            return { args, options, callOptions: context ? { context } : {} };
+        }
+        if (apiDef.languagePairs) {
+            const [firstLanguage = 'en', secondLanguage = 'es'] = await loadSetting('translatorLanguages', DEFAULT_TRANSLATOR_LANGUAGES);
+            const { sourceLanguage, targetLanguage } = translatorSnippetPair || { sourceLanguage: firstLanguage, targetLanguage: secondLanguage };
+            return { args: { sourceLanguage, targetLanguage }, options: { sourceLanguage, targetLanguage }, callOptions: {} };
+        }
+        return { args: apiDef.checkArgs || null, options: { ...apiDef.checkArgs }, callOptions: {} };
+    }
+
+    // Same lookup order as getApiObject
+    function snippetResolution(apiDef) {
+        if (apiDef.key === 'languageModel') return ['globalThis.LanguageModel', 'globalThis.ai?.languageModel'];
+        const candidates = [];
+        if (apiDef.namespace === 'ai') candidates.push(`globalThis.ai?.${apiDef.key}`);
+        candidates.push(`globalThis.${apiDef.key}`);
+        if (apiDef.fallback) candidates.push(`globalThis.${apiDef.fallback}`);
+        return candidates;
+    }
+
+    // Like JSON.stringify, but in the single-quoted style of the snippets
+    function toLiteral(value, indent = '') {
+        if (typeof value === 'string') {
+            return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+        }
+        if (Array.isArray(value)) {
+            return `[${value.map(item => toLiteral(item, indent)).join(', ')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const entries = Object.entries(value);
+            if (!entries.length) return '{}';
+            const fields = entries.map(([key, item]) => {
+                const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : toLiteral(key);
+                return `${indent}  ${name}: ${toLiteral(item, indent + '  ')}`;
+            });
+            return `{\n${fields.join(',\n')}\n${indent}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    function snippetTypes(apiDef, call, typeName) {
+        const result = call.streaming === false ? 'Promise<{ detectedLanguage: string; confidence: number }[]>' : 'AsyncIterable<string>';
+        const globals = apiDef.key === 'languageModel'
+            ? [`  var LanguageModel: ${typeName}Factory | undefined;`, `  var ai: { languageModel?: ${typeName}Factory } | undefined;`]
+            : [`  var ${apiDef.key}: ${typeName}Factory | undefined;`];
+        if (apiDef.namespace === 'ai') globals.push(`  var ai: { ${apiDef.key}?: ${typeName}Factory } | undefined;`);
+        if (apiDef.fallback) globals.push(`  var ${apiDef.fallback}: ${typeName}Factory | undefined;`);
+        return [
+            `type Availability = 'unavailable' | 'downloadable' | 'downloading' | 'available';`,
+            '',
+            'interface DownloadProgressEvent extends Event {',
+            '  readonly loaded: number;',
+            '  readonly total: number;',
+            '}',
+            '',
+            'interface CreateMonitor {',
+            `  addEventListener(type: 'downloadprogress', listener: (event: DownloadProgressEvent) => void): void;`,
+            '}',
+            '',
+            `interface ${typeName}Instance {`,
+            `  ${call.method}(input: string, options?: { signal?: AbortSignal; context?: string }): ${result};`,
+            '  destroy(): void;',
+            '}',
+            '',
+            `interface ${typeName}Factory {`,
+            '  availability?(options?: Record<string, unknown>): Promise<string | { available: string }>;',
+            '  capabilities?(): Promise<{ available: string }>;',
+            `  create(options?: Record<string, unknown> & { signal?: AbortSignal; monitor?: (monitor: CreateMonitor) => void }): Promise<${typeName}Instance>;`,
+            '}',
+            '',
+            'declare global {',
+            ...globals,
+            '}',
+            '',
+            'export interface RunOptions {',
+            '  signal?: AbortSignal;',
+            '  onDownloadProgress?: (fraction: number) => void;',
+            '  onChunk?: (text: string) => void;',
+            '}',
+            ''
+        ];
+    }
+
+    function snippetHook(apiDef, call, typeName) {
+        return [
+            '',
+            `export function use${typeName}() {`,
+            `  const [availability, setAvailability] = useState('checking');`,
+            '  const [output, setOutput] = useState(null);',
+            '  const [downloadProgress, setDownloadProgress] = useState(null);',
+            '  const [error, setError] = useState(null);',
+            '  const [running, setRunning] = useState(false);',
+            '  const controllerRef = useRef(null);',
+            '',
+            '  useEffect(() => {',
+            `    getAvailability().then(setAvailability, () => setAvailability('unavailable'));`,
+            '    return () => controllerRef.current?.abort();',
+            '  }, []);',
+            '',
+            `  const run = useCallback(async (${call.input}) => {`,
+            '    controllerRef.current?.abort();',
+            '    const controller = new AbortController();',
+            '    controllerRef.current = controller;',
+            '    setRunning(true);',
+            '    setError(null);',
+            '    setOutput(null);',
+            '    try {',
+            `      const result = await ${call.name}(${call.input}, {`,
+            '        signal: controller.signal,',
+            '        onDownloadProgress: setDownloadProgress,',
+            '        onChunk: setOutput',
+            '      });',
+            '      setOutput(result);',
+            '      return result;',
+            '    } catch (err) {',
+            `      if (err.name !== 'AbortError') setError(err);`,
+            '    } finally {',
+            '      if (controllerRef.current === controller) setRunning(false);',
+            '    }',
+            '  }, []);',
+            '',
+            '  const stop = useCallback(() => controllerRef.current?.abort(), []);',
+            '',
+            '  return { availability, output, downloadProgress, error, running, run, stop };',
+            '}'
+        ];
+    }
+
+    // Writes out what the checker does for this API: the namespace lookup,
+    // availability() with the same arguments, create() with the card's
+    // options and a download monitor, then streaming and destroy().
+    function generateSnippet(apiDef, config, format, useCase) {
+        const call = SNIPPET_CALLS[apiDef.key];
+        const ts = format === 'ts';
+        const typeName = apiDef.key === 'languageModel' ? 'LanguageModel' : apiDef.key;
+        const type = (annotation) => (ts ? annotation : '');
+        const oneLine = (text) => String(text).replace(/\s+/g, ' ').trim();
+
+        const lines = [`// ${apiDef.name}, generated by Chrome AI Checka`];
+        if (useCase) {
+            lines.push(`// Use case: ${oneLine(useCase.title)}`, `// ${oneLine(useCase.description)}`, `// Input: ${oneLine(useCase.requiredInput)}`);
+        }
+        if (format === 'react') lines.push(`import { useCallback, useEffect, useRef, useState } from 'react';`);
+        lines.push('');
+        if (ts) lines.push(...snippetTypes(apiDef, call, typeName));
+
+        if (config.args) lines.push(`const AVAILABILITY_ARGS = ${toLiteral(config.args)};`, '');
+        lines.push(`const CREATE_OPTIONS = ${toLiteral(config.options)};`, '');
+        if (Object.keys(config.callOptions).length) lines.push(`const CALL_OPTIONS = ${toLiteral(config.callOptions)};`, '');
+
+        const resolution = snippetResolution(apiDef);
+        lines.push(
+            `const LEGACY_STATUSES${type(': Record<string, Availability>')} = { readily: 'available', 'after-download': 'downloadable', no: 'unavailable' };`,
+            '',
+            `function resolveApi()${type(`: ${typeName}Factory | undefined`)} {`,
+            resolution.length > 1 ? '  // Older builds expose the API under a legacy name' : null,
+            `  return ${resolution.join(' ?? ')};`,
+            '}',
+            '',
+            `export async function getAvailability()${type(': Promise<Availability>')} {`,
+            '  const api = resolveApi();',
+            `  if (!api) return 'unavailable';`,
+            `  let status${type(': string | { available: string } | undefined')} = typeof api.availability === 'function'`,
+            `    ? await api.availability(${config.args ? 'AVAILABILITY_ARGS' : ''})`,
+            '    : await api.capabilities?.();',
+            `  // Older builds answer with { available } and 'readily' / 'after-download' / 'no'`,
+            `  if (status && typeof status === 'object') status = status.available;`,
+            ts
+                ? `  return (LEGACY_STATUSES[status as string] ?? status ?? 'unavailable') as Availability;`
+                : `  return LEGACY_STATUSES[status] ?? status ?? 'unavailable';`,
+            '}',
+            ''
+        );
+
+        const signature = ts
+            ? `${call.input}: string, { signal, onDownloadProgress, onChunk }: RunOptions = {}`
+            : `${call.input}, { signal, onDownloadProgress, onChunk } = {}`;
+        const returnType = call.streaming === false ? ': Promise<{ detectedLanguage: string; confidence: number }[]>' : ': Promise<string>';
+        const callOptions = Object.keys(config.callOptions).length ? '{ ...CALL_OPTIONS, signal }' : '{ signal }';
+
+        lines.push(
+            `export async function ${call.name}(${signature})${type(returnType)} {`,
+            '  const api = resolveApi();',
+            `  if (!api || (await getAvailability()) === 'unavailable') {`,
+            `    throw new Error('${apiDef.name} is not available in this browser');`,
+            '  }',
+            '',
+            '  const instance = await api.create({',
+            '    ...CREATE_OPTIONS,',
+            '    signal,',
+            '    monitor(monitor) {',
+            `      monitor.addEventListener('downloadprogress', (event) => onDownloadProgress?.(event.loaded / event.total));`,
+            '    }',
+            '  });',
+            '  try {'
+        );
+        if (call.streaming === false) {
+            lines.push(`    return await instance.${call.method}(${call.input}, ${callOptions});`);
+        } else {
+            lines.push(
+                `    let result = '';`,
+                `    for await (const chunk of instance.${call.method}(${call.input}, ${callOptions})) {`,
+                '      // Older builds stream the whole text so far instead of deltas',
+                '      result = result && chunk.startsWith(result) ? chunk : result + chunk;',
+                '      onChunk?.(result);',
+                '    }',
+                '    return result;'
+            );
+        }
+        lines.push(
+            '  } finally {',
+            '    instance.destroy();',
+            '  }',
+            '}'
+        );
+
+        if (format === 'react') lines.push(...snippetHook(apiDef, call, typeName));
+        return lines.filter(line => line !== null).join('\n') + '\n';
+    }
+
+    async function copySnippet(btn, apiDef, useCase) {
+        const format = await loadSetting('snippetFormat', 'js');
+        const config = await getSnippetConfig(apiDef);
+        await copyWithFeedback(btn, generateSnippet(apiDef, config, format, useCase));
+    }
+
+    function renderCopyCodeAction(apiDef) {
+        const bar = document.createElement('div');
+        bar.className = 'pair-config snippet-bar';
+
+        const formatSelect = document.createElement('select');
+        for (const [value, label] of Object.entries(SNIPPET_FORMATS)) formatSelect.appendChild(new Option(label, value));
+        loadSetting('snippetFormat', 'js').then(format => { formatSelect.value = format; });
+        formatSelect.onchange = () => saveSetting('snippetFormat', formatSelect.value);
+
+        const btn = document.createElement('button');
+        btn.className = 'download-btn secondary-btn';
+        btn.textContent = 'Copy code';
+        btn.onclick = () => copySnippet(btn, apiDef);
+
+        bar.appendChild(formatSelect);
+        bar.appendChild(btn);
+        return bar;
+    }
+
+    function renderUseCaseList(useCases) {
+        const list = document.createElement('div');
+        list.className = 'use-case-list';
+
+        for (const useCase of useCases) {
+            const item = document.createElement('div');
+            item.className = 'use-case-card';
+
+            const header = document.createElement('div');
+            header.className = 'api-header';
+            const title = document.createElement('div');
+            title.className = 'api-name';
+            title.textContent = useCase.title;
+            const copyBtn = document.createElement('button');
+            copyBtn.className = 'pair-download-btn';
+            copyBtn.textContent = 'Copy';
+            copyBtn.onclick = () => copyWithFeedback(copyBtn, useCaseToMarkdown(useCase));
+            const buttons = document.createElement('div');
+            buttons.style.display = 'flex';
+            buttons.style.gap = '4px';
+            buttons.appendChild(copyBtn);
+            const apiDef = apis.find(api => api.key === useCase.api);
+            if (apiDef && SNIPPET_CALLS[apiDef.key]) {
+                const codeBtn = document.createElement('button');
+                codeBtn.className = 'pair-download-btn';
+                codeBtn.textContent = 'Code';
+                codeBtn.title = 'Copy code in the format chosen on the API cards';
+                codeBtn.onclick = () => copySnippet(codeBtn, apiDef, useCase);
+                buttons.appendChild(codeBtn);
+            }
+            header.appendChild(title);
+            header.appendChild(buttons);
+            item.appendChild(header);
+
+            const description = document.createElement('div');
+            description.textContent = useCase.description;
+            item.appendChild(description);
+
+            // Cross-reference the status this popup found for the named API
+            const apiLine = document.createElement('div');
+            apiLine.className = 'use-case-meta';
+            const status = apiStatuses.get(useCase.api) || 'unknown';
+            const statusBadge = document.createElement('span');
+            statusBadge.className = `status-badge ${status}`;
+            statusBadge.textContent = status;
+            apiLine.append(`${getApiName(useCase.api)} `, statusBadge);
+            item.appendChild(apiLine);
+
+            const meta = document.createElement('div');
+            meta.className = 'use-case-meta';
+            meta.textContent = `Input: ${useCase.requiredInput} · Effort: ${useCase.effort} · Impact: ${useCase.impact}`;
+            item.appendChild(meta);
+
+            list.appendChild(item);
+        }
+
+        const exportBar = document.createElement('div');
+        exportBar.className = 'report-bar';
+
+        const markdownBtn = document.createElement('button');
+        markdownBtn.className = 'download-btn secondary-btn';
+        markdownBtn.textContent = 'Copy all as Markdown';
+        markdownBtn.onclick = () => copyWithFeedback(markdownBtn, useCases.map(useCaseToMarkdown).join('\n\n'));
+
+        const jsonBtn = document.createElement('button');
+        jsonBtn.className = 'download-btn secondary-btn';
+        jsonBtn.textContent = 'Export JSON';
+        jsonBtn.onclick = () => downloadJson('use-cases.json', useCases.map(useCase => ({
+            ...useCase,
+            apiStatus: apiStatuses.get(useCase.api) || 'unknown'
+        })));
+
+        exportBar.appendChild(markdownBtn);
+        exportBar.appendChild(jsonBtn);
+        list.appendChild(exportBar);
+        return list;
+    }
+
+    // Trims the page to what fits in half the context window, leaving the
+    // other half for the conversation itself
+    async function loadChatContext(apiObject) {
+        const text = await getTabContent();
+        if (!text) throw new Error("No text found on page");
+
+        const probe = await apiObject.create();
+        try {
+            const countTokens = createTokenCounter(probe);
+            const budget = Math.floor(getInputBudget(probe, 1500) / 2);
+            if (await countTokens(text) <= budget) return { text, truncated: false };
+            const [first] = await chunkByQuota(text, countTokens, budget, 0);
+            return { text: first, truncated: true };
+        } finally {
+            probe.destroy();
+        }
+    }
+
+    // Multi-turn chat about the current page. The transcript is the source of
+    // truth: it is kept per tab in chrome.storage.session and sessions are
+    // rebuilt from it whenever they are lost (popup reopened, options changed,
+    // a turn aborted or the context compacted).
+    async function renderChatPanel(apiObject) {
+        const panel = document.createElement('details');
+        panel.className = 'options-panel chat-panel';
+
+        const summary = document.createElement('summary');
+        summary.textContent = 'Chat with this page';
+        panel.appendChild(summary);
+
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab) return panel;
+        const storageKey = `chat:${tab.id}`;
+
+        let params = null;
+        if (typeof apiObject.params === 'function') {
+            try {
+                params = toPlainObject(await apiObject.params());
+            } catch (e) {
+                console.warn('params() failed, using the default chat limits', e);
+            }
+        }
+        const limits = {
+            defaultTemperature: params && params.defaultTemperature !== undefined ? params.defaultTemperature : 1,
+            maxTemperature: params && params.maxTemperature !== undefined ? params.maxTemperature : 2,
+            defaultTopK: params && params.defaultTopK !== undefined ? params.defaultTopK : 3,
+            maxTopK: params && params.maxTopK !== undefined ? params.maxTopK : 8
+        };
+
+        const stored = await chrome.storage.session.get(storageKey);
+        const state = stored[storageKey] || {
+            pageContext: null,
+            truncated: false,
+            temperature: limits.defaultTemperature,
+            topK: limits.defaultTopK,
+            conversations: [{ id: crypto.randomUUID(), title: 'Conversation 1', turns: [], summary: '' }],
+            active: null
+        };
+        if (state.active === null) state.active = state.conversations[0].id;
+
+        const TRUNCATED_NOTICE = 'The page was too long for the context window, only its beginning is included.';
+        const sessions = new Map();
+        const persist = () => chrome.storage.session.set({ [storageKey]: state });
+        const activeConversation = () => state.conversations.find(c => c.id === state.active);
+
+        // Controls
+        const toolbar = document.createElement('div');
+        toolbar.className = 'pair-config';
+        const conversationSelect = document.createElement('select');
+        const branchBtn = document.createElement('button');
+        branchBtn.className = 'download-btn secondary-btn';
+        branchBtn.textContent = 'Branch';
+        branchBtn.title = 'Continue a copy of this conversation';
+        const newBtn = document.createElement('button');
+        newBtn.className = 'download-btn secondary-btn';
+        newBtn.textContent = 'New';
+        toolbar.append(conversationSelect, branchBtn, newBtn);
+
+        const samplingGrid = document.createElement('div');
+        samplingGrid.className = 'options-grid';
+        const temperatureInput = document.createElement('input');
+        temperatureInput.type = 'number';
+        temperatureInput.min = 0;
+        temperatureInput.max = limits.maxTemperature;
+        temperatureInput.step = 0.1;
+        temperatureInput.value = state.temperature;
+        const topKInput = document.createElement('input');
+        topKInput.type = 'number';
+        topKInput.min = 1;
+        topKInput.max = limits.maxTopK;
+        topKInput.step = 1;
+        topKInput.value = state.topK;
+        for (const [labelText, input] of [[`temperature (max ${limits.maxTemperature})`, temperatureInput], [`topK (max ${limits.maxTopK})`, topKInput]]) {
+            const label = document.createElement('label');
+            label.textContent = labelText;
+            label.appendChild(input);
+            samplingGrid.appendChild(label);
+        }
+
+        const meterText = document.createElement('div');
+        meterText.className = 'api-details';
+        const meter = document.createElement('div');
+        meter.className = 'progress-container active';
+        const meterBar = document.createElement('div');
+        meterBar.className = 'progress-bar';
+        meter.appendChild(meterBar);
+
+        const log = document.createElement('div');
+        log.className = 'chat-log';
+
+        const input = document.createElement('textarea');
+        input.className = 'playground-input';
+        input.rows = 2;
+        input.placeholder = 'Ask about this page';
+
+        const sendBtn = document.createElement('button');
+        sendBtn.className = 'download-btn';
+        sendBtn.textContent = 'Send';
+        const stopBtn = createStopButton();
+        let controller = null;
+        stopBtn.onclick = () => controller && controller.abort();
+
+        panel.append(toolbar, samplingGrid, meterText, meter, log, input, sendBtn, stopBtn);
+
+        function addMessage(role, text) {
+            const message = document.createElement('div');
+            message.className = `chat-msg ${role}`;
+            message.textContent = text;
+            log.appendChild(message);
+            log.scrollTop = log.scrollHeight;
+            return message;
+        }
+
+        function renderConversation() {
+            conversationSelect.textContent = '';
+            for (const conversation of state.conversations) {
+                conversationSelect.appendChild(new Option(conversation.title, conversation.id));
+            }
+            conversationSelect.value = state.active;
+
+            log.textContent = '';
+            const conversation = activeConversation();
+            if (state.truncated) addMessage('notice', TRUNCATED_NOTICE);
+            if (conversation.summary) addMessage('notice', `Earlier turns, summarized: ${conversation.summary}`);
+            for (const turn of conversation.turns) addMessage(turn.role, turn.content);
+            updateMeter(sessions.get(conversation.id));
+        }
+
+        function updateMeter(session) {
+            if (!session || !Number.isFinite(session.inputQuota)) {
+                meter.style.display = 'none';
+                meterText.textContent = session ? '' : 'Context usage shows after the first message.';
+                return;
+            }
+            meter.style.display = 'block';
+            const percent = Math.min(100, (session.inputUsage / session.inputQuota) * 100);
+            meterBar.style.width = `${percent}%`;
+            meterText.textContent = `Context: ${session.inputUsage} of ${session.inputQuota} tokens (${Math.round(percent)}%)`;
+        }
+
+        function dropSession(conversation) {
+            const session = sessions.get(conversation.id);
+            if (session) session.destroy();
+            sessions.delete(conversation.id);
+        }
+
+        async function getSession(conversation, signal) {
+            if (sessions.has(conversation.id)) return sessions.get(conversation.id);
+
+            if (!state.pageContext) {
+                const context = await loadChatContext(apiObject);
+                state.pageContext = context.text;
+                state.truncated = context.truncated;
+                if (state.truncated) log.prepend(addMessage('notice', TRUNCATED_NOTICE));
+            }
+
+            let systemPrompt = `You answer questions about the web page below. Base your answers on its content and say so when the page doesn't cover a question.\n\nPage:\n${state.pageContext}`;
+            if (conversation.summary) systemPrompt += `\n\nSummary of the earlier conversation:\n${conversation.summary}`;
+
+            const session = await apiObject.create({
+                initialPrompts: [
+                    { role: 'system', content: systemPrompt },
+                    ...conversation.turns.map(turn => ({ role: turn.role, content: turn.content }))
+                ],
+                temperature: state.temperature,
+                topK: state.topK,
+                signal
+            });
+            watchOverflow(session, conversation);
+            sessions.set(conversation.id, session);
+            return session;
+        }
+
+        function watchOverflow(session, conversation) {
+            const onOverflow = () => { conversation.overflowed = true; };
+            session.addEventListener('contextoverflow', onOverflow);
+            session.addEventListener('quotaoverflow', onOverflow); // Older name of the event
+        }
+
+        // Replaces all but the last exchange with a summary once the session
+        // has started dropping old turns
+        async function compact(conversation, signal) {
+            conversation.overflowed = false;
+            const older = conversation.turns.slice(0, -2);
+            if (!older.length) return;
+
+            const summarizer = await apiObject.create({
+                initialPrompts: [{ role: 'system', content: 'Summarize the conversation you are given in a few sentences, keeping facts, names and decisions.' }],
+                signal
+            });
+            try {
+                let transcript = older.map(turn => `${turn.role}: ${turn.content}`).join('\n\n');
+                const countTokens = createTokenCounter(summarizer, signal);
+                const budget = getInputBudget(summarizer, 1000);
+                if (await countTokens(transcript) > budget) {
+                    // Keep the most recent part when even the transcript doesn't fit
+                    const chunks = await chunkByQuota(transcript, countTokens, budget, 0);
+                    transcript = chunks[chunks.length - 1];
+                }
+                const newSummary = await summarizer.prompt(transcript, { signal });
+                conversation.summary = [conversation.summary, newSummary].filter(Boolean).join('\n');
+            } finally {
+                summarizer.destroy();
+            }
+
+            conversation.turns = conversation.turns.slice(-2);
+            dropSession(conversation);
+            addMessage('notice', 'Earlier turns were summarized to free up context.');
+        }
+
+        sendBtn.onclick = async () => {
+            const text = input.value.trim();
+            if (!text) return;
+
+            const conversation = activeConversation();
+            sendBtn.disabled = true;
+            controller = new AbortController();
+            const signal = controller.signal;
+            stopBtn.style.display = 'block';
+
+            input.value = '';
+            addMessage('user', text);
+            const reply = addMessage('assistant', '…');
+
+            try {
+                sendBtn.textContent = 'Thinking...';
+                const session = await getSession(conversation, signal);
+                const answer = await consumeStream(session.promptStreaming(text, { signal }), (partial) => {
+                    reply.textContent = partial;
+                    log.scrollTop = log.scrollHeight;
+                });
+                conversation.turns.push({ role: 'user', content: text }, { role: 'assistant', content: answer });
+                updateMeter(session);
+
+                if (conversation.overflowed) {
+                    sendBtn.textContent = 'Compacting...';
+                    try {
+                        await compact(conversation, signal);
+                    } catch (err) {
+                        // The answer and its session are fine, only the summary
+                        // is missing; try again after the next turn
+                        conversation.overflowed = true;
+                        if (isAbortError(err)) {
+                            addMessage('notice', 'Compacting stopped, earlier turns were kept.');
+                        } else {
+                            console.error("Compacting chat failed", err);
+                            addMessage('notice', "Compacting failed: " + err.message);
+                        }
+                    }
+                }
+            } catch (err) {
+                // The session may hold half a turn now; rebuild it from the transcript
+                dropSession(conversation);
+                if (isAbortError(err)) {
+                    reply.textContent += ' [Stopped]';
+                } else {
+                    console.error("Chat failed", err);
+                    reply.className = 'chat-msg notice';
+                    reply.textContent = "Error: " + err.message;
+                }
+            } finally {
+                await persist();
+                sendBtn.textContent = 'Send';
+                sendBtn.disabled = false;
+                stopBtn.style.display = 'none';
+            }
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                sendBtn.onclick();
+            }
+        });
+
+        conversationSelect.onchange = async () => {
+            // Conversations stored before ids were UUIDs have numeric ids
+            state.active = state.conversations.find(c => String(c.id) === conversationSelect.value).id;
+            renderConversation();
+            await persist();
+        };
+
+        newBtn.onclick = async () => {
+            const conversation = { id: crypto.randomUUID(), title: `Conversation ${state.conversations.length + 1}`, turns: [], summary: '' };
+            state.conversations.push(conversation);
+            state.active = conversation.id;
+            renderConversation();
+            await persist();
+        };
+
+        branchBtn.onclick = async () => {
+            const source = activeConversation();
+            const branch = { id: crypto.randomUUID(), title: `${source.title} (branch)`, turns: [...source.turns], summary: source.summary };
+            const session = sessions.get(source.id);
+            if (session && typeof session.clone === 'function') {
+                try {
+                    const cloned = await session.clone();
+                    watchOverflow(cloned, branch);
+                    sessions.set(branch.id, cloned);
+                } catch (err) {
+                    // The branch rebuilds its session from the transcript instead
+                    console.warn('Cloning the session failed', err);
+                }
+            }
+            state.conversations.push(branch);
+            state.active = branch.id;
+            renderConversation();
+            await persist();
+        };
+
+        // Sampling options are fixed at create(), so changing them means
+        // rebuilding every session from its transcript
+        const onSamplingChange = async () => {
+            const temperature = Math.min(limits.maxTemperature, Math.max(0, Number(temperatureInput.value) || 0));
+            const topK = Math.min(limits.maxTopK, Math.max(1, Math.round(Number(topKInput.value) || 1)));
+            temperatureInput.value = temperature;
+            topKInput.value = topK;
+            state.temperature = temperature;
+            state.topK = topK;
+            for (const conversation of state.conversations) dropSession(conversation);
+            updateMeter(null);
+            await persist();
+        };
+        temperatureInput.onchange = onSamplingChange;
+        topKInput.onchange = onSamplingChange;
+
+        renderConversation();
+        return panel;
+    }
+
+    function createStopButton() {
+        const stopBtn = document.createElement('button');
+        stopBtn.className = 'download-btn stop-btn';
+        stopBtn.textContent = 'Stop';
+        stopBtn.style.display = 'none';
+        return stopBtn;
+    }
+
+    function describeSummaryProgress({ chunk, chunks, pass }) {
+        if (chunks > 1) return `Summarizing chunk ${chunk} of ${chunks}, pass ${pass}...`;
+        return pass > 1 ? `Writing final summary, pass ${pass}...` : 'Summarizing...';
+    }
+
+    function getApiNamespace() {
+        if (window.ai) return window.ai;
+        if (window.model) return window.model; // Very old
+        return null;
+    }
+
+    function getApiObject(apiDef) {
+        // Special case for LanguageModel which is now on globalThis
+        if (apiDef.key === 'languageModel') {
+            if (globalThis.LanguageModel) {
+                return { api: globalThis.LanguageModel, path: 'globalThis.LanguageModel' };
+            }
+            // Fallback for older implementation or different naming if necessary,
+            // but user explicitly said window.ai.languageModel is deprecated/wrong.
+            // We can check if window.ai.languageModel still exists just in case, but prioritize globalThis.
+            if (window.ai && window.ai.languageModel) {
+                return { api: window.ai.languageModel, path: 'window.ai.languageModel (Deprecated)' };
+            }
+            return { api: null, path: '' };
+        }
+
+        // If namespace is explicit 'ai', try that first
+        if (apiDef.namespace === 'ai') {
+            if (window.ai && window.ai[apiDef.key]) {
+                return { api: window.ai[apiDef.key], path: `window.ai.${apiDef.key}` };
+            }
+        }
+
+        // Try top-level window property (for Translator, LanguageDetector, etc.)
+        if (window[apiDef.key]) {
+            return { api: window[apiDef.key], path: `window.${apiDef.key}` };
+        }
+
+        // Fallback checks
+        if (apiDef.fallback && window[apiDef.fallback]) {
+            return { api: window[apiDef.fallback], path: `window.${apiDef.fallback}` };
+        }
+
+        return { api: null, path: '' };
+    }
+
+    // IDL objects keep their attributes on the prototype, so JSON.stringify
+    // would drop them
+    function toPlainObject(value) {
+        if (!value || typeof value !== 'object') return value;
+        const plain = {};
+        for (const key in value) {
+            if (typeof value[key] !== 'function') plain[key] = value[key];
+        }
+        return plain;
+    }
+
+    // Does the actual work for checkAvailability and records how the status
+    // was reached for the diagnostics report. `branch` is one of 'not-found',
+    // 'with-args', 'without-args', 'legacy-object', 'no-availability-method'
+    // or 'failed'; `errors` collects the messages of any failed attempts.
+    async function probeAvailability(apiObject, args) {
+        const probe = { status: 'unavailable', raw: null, branch: 'not-found', errors: [] };
+        if (!apiObject) return probe;
+        try {
+            if (typeof apiObject.availability === 'function') {
+                let status;
+                let branch;
+                // If we have specific args, try those first
+                if (args) {
+                    try {
+                        status = await apiObject.availability(args);
+                        branch = 'with-args';
+                    } catch (e) {
+                        console.warn('Availability check with args failed, trying no-args', e);
+                        probe.errors.push(`availability(${JSON.stringify(args)}): ${e.message}`);
+                    }
+                }
+
+                // If still undefined (no args or args failed), try no-args
+                if (status === undefined) {
+                    try {
+                        status = await apiObject.availability();
+                        branch = 'without-args';
+                    } catch (e) {
+                        // This is expected if the API *requires* args and we didn't provide them or they failed
+                        console.warn('Availability check without args failed', e);
+                        probe.errors.push(`availability(): ${e.message}`);
+                        // If we already tried args and failed, and now no-args failed, return error or unavailable?
+                        // If the API requires args, and we provided them and it failed, it might be an error.
+                        // But if we didn't provide args and it requires them, it's an error in our config.
+                        if (args) return { ...probe, status: 'error', branch: 'failed' };
+                    }
+                }
+
+                if (status === undefined) return { ...probe, status: 'error', branch: 'failed' };
+
+                probe.raw = toPlainObject(status);
+                if (typeof status === 'object') {
+                    probe.branch = 'legacy-object';
+                    probe.status = status.available || 'available_object';
+                    return probe;
+                }
+                probe.branch = branch;
+                probe.status = status;
+                return probe;
+            }
+            return { ...probe, status: 'available_unknown_methods', branch: 'no-availability-method' };
+        } catch (e) {
+            console.error('Error checking availability:', e);
+            probe.errors.push(e.message);
+            return { ...probe, status: 'error', branch: 'failed' };
+        }
+    }
+
+    async function checkAvailability(apiObject, args) {
+        return (await probeAvailability(apiObject, args)).status;
+    }
+
+    // Creates a throwaway instance with a monitor attached so the browser
+    // fetches the model, reporting progress as a 0-100 percentage.
+    async function downloadInPopup(apiObject, args, onProgress) {
+        if (!apiObject.create) {
+            throw new Error("Create method not found");
+        }
+
+        const monitor = (m) => {
+            m.addEventListener('downloadprogress', (e) => {
+                onProgress((e.loaded / e.total) * 100);
+            });
+        };
+
+        const createArgs = args ? { ...args, monitor } : { monitor };
+        const session = await apiObject.create(createArgs);
+        if (session && typeof session.destroy === 'function') session.destroy();
+    }
+
+    // Must match downloadJobId in background.js
+    function downloadJobId(key, args) {
+        return `${key}:${JSON.stringify(args || {})}`;
+    }
+
+    async function getDownloadJob(jobId) {
+        if (simulation.enabled) return undefined;
+        const { downloads } = await chrome.storage.session.get('downloads');
+        return downloads ? downloads[jobId] : undefined;
+    }
+
+    function isDownloadInFlight(job) {
+        return Boolean(job) && (job.state === 'queued' || job.state === 'downloading');
+    }
+
+    // The background jobs as last seen, so a click can tell without awaiting
+    // anything whether its download starts now or waits its turn
+    let backgroundJobs = {};
+    if (!simulation.enabled) {
+        chrome.storage.session.get('downloads').then(({ downloads }) => {
+            backgroundJobs = downloads || {};
+        });
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area === 'session' && changes.downloads) backgroundJobs = changes.downloads.newValue || {};
+        });
+    }
+
+    // Resolves once the background job finishes, calling onProgress(percent,
+    // state) until then, with a null percent when nothing reports progress any
+    // more. Also works for a job started before the popup opened.
+    function watchDownload(jobId, onProgress) {
+        return new Promise((resolve, reject) => {
+            const listener = (changes, area) => {
+                if (area === 'session' && changes.downloads) {
+                    check((changes.downloads.newValue || {})[jobId]);
+                }
+            };
+
+            const check = (job) => {
+                if (!job) return;
+                if (job.state === 'done') {
+                    chrome.storage.onChanged.removeListener(listener);
+                    resolve();
+                } else if (job.state === 'error') {
+                    chrome.storage.onChanged.removeListener(listener);
+                    const err = new Error(job.error);
+                    err.name = job.errorName || 'Error';
+                    reject(err);
+                } else {
+                    onProgress(job.percent === undefined ? 0 : job.percent, job.state);
+                }
+            };
+
+            chrome.storage.onChanged.addListener(listener);
+            getDownloadJob(jobId).then(check, reject);
+        });
+    }
+
+    // Must run straight from a click: create() only fetches a model that isn't
+    // on the device yet from a user gesture. While another model downloads,
+    // the job is queued with the background worker instead, which starts it
+    // once it's its turn. Progress goes to the worker over a port, so it
+    // notices when this popup closes and the badge, the notification and a
+    // reopened popup follow the download from then on.
+    async function downloadModel(apiObject, job, onProgress) {
+        // The offscreen document only has the real APIs
+        if (simulation.enabled) {
+            return downloadInPopup(apiObject, job.args, percent => onProgress(percent, 'downloading'));
+        }
+
+        const id = downloadJobId(job.key, job.args);
+        if (Object.values(backgroundJobs).some(other => other.id !== id && other.state === 'downloading')) {
+            return resumeDownload(job, onProgress);
+        }
+
+        const port = chrome.runtime.connect({ name: 'download-progress' });
+        const registered = chrome.runtime.sendMessage({ type: 'download', ...job, started: true }).catch((err) => {
+            console.warn('Background worker is not tracking the download', err);
+        });
+
+        try {
+            await downloadInPopup(apiObject, job.args, (percent) => {
+                onProgress(percent, 'downloading');
+                port.postMessage({ id, percent });
+            });
+        } catch (err) {
+            await registered;
+            chrome.runtime.sendMessage({ type: 'download-error', id, error: err.message, name: err.name });
+            throw err;
+        } finally {
+            port.disconnect();
+        }
+        await registered;
+        chrome.runtime.sendMessage({ type: 'download-done', id });
+    }
+
+    // Queues a download, or follows one started by an earlier popup. Asking
+    // the worker again restarts its follower if the offscreen document has
+    // gone away.
+    async function resumeDownload(job, onProgress) {
+        const response = await chrome.runtime.sendMessage({ type: 'download', ...job });
+        if (!response || response.error) {
+            throw new Error(response ? response.error : "Background worker did not answer");
+        }
+        await watchDownload(response.id, onProgress);
+    }
+
+    function setBadge(badge, status) {
+        badge.className = `status-badge ${status}`;
+        badge.textContent = status;
+    }
+
+    function parseLanguageList(value) {
+        const codes = value.split(/[\s,]+/).map(code => code.trim()).filter(Boolean);
+        return [...new Set(codes)];
+    }
+
+    async function checkLanguagePairs(apiObject, languages) {
+        const statuses = new Map();
+        for (const sourceLanguage of languages) {
+            for (const targetLanguage of languages) {
+                if (sourceLanguage === targetLanguage) continue;
+                const status = await checkAvailability(apiObject, { sourceLanguage, targetLanguage });
+                statuses.set(`${sourceLanguage}>${targetLanguage}`, normalizeStatus(status));
+            }
+        }
+        return statuses;
+    }
+
+    // The card badge shows the best status any pair reached
+    function summarizePairStatuses(statuses) {
+        const values = [...statuses.values()];
+        for (const candidate of ['available', 'downloading', 'downloadable']) {
+            if (values.includes(candidate)) return candidate;
+        }
+        return values[0] || 'unavailable';
+    }
+
+    const PAIR_STATUS_LABELS = {
+        available: '✓',
+        downloading: '…',
+        unavailable: '✕',
+        error: '!'
+    };
+
+    // onPairsChange(languages, statuses) runs whenever a check or a download
+    // changes the pairs
+    function renderTranslatorMatrix(apiObject, languages, pairStatuses, badge, onPairsChange) {
+        const container = document.createElement('div');
+        container.className = 'pair-matrix';
+
+        const config = document.createElement('div');
+        config.className = 'pair-config';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = languages.join(', ');
+        input.placeholder = 'en, es, de';
+        input.title = 'Comma-separated BCP 47 language codes';
+
+        const checkBtn = document.createElement('button');
+        checkBtn.className = 'download-btn';
+        checkBtn.textContent = 'Check';
+
+        config.appendChild(input);
+        config.appendChild(checkBtn);
+        container.appendChild(config);
+
+        const summary = document.createElement('div');
+        summary.className = 'api-details';
+        container.appendChild(summary);
+
+        const table = document.createElement('table');
+        container.appendChild(table);
+
+        const errorMsg = document.createElement('div');
+        errorMsg.className = 'error-msg';
+        container.appendChild(errorMsg);
+
+        let statuses = pairStatuses;
+        let currentLanguages = languages;
+
+        function updateSummary() {
+            const values = [...statuses.values()];
+            const ready = values.filter(v => v === 'available').length;
+            const downloadable = values.filter(v => v === 'downloadable').length;
+            summary.textContent = `${ready} of ${values.length} pairs available, ${downloadable} downloadable`;
+            setBadge(badge, summarizePairStatuses(statuses));
+            if (onPairsChange) onPairsChange(currentLanguages, statuses);
+        }
+
+        function renderPairCell(cell, sourceLanguage, targetLanguage) {
+            const key = `${sourceLanguage}>${targetLanguage}`;
+            const status = statuses.get(key);
+            cell.textContent = '';
+            cell.title = `${sourceLanguage} → ${targetLanguage}: ${status}`;
+
+            if (status === 'downloadable' || status === 'downloading') {
+                const btn = document.createElement('button');
+                btn.className = 'pair-download-btn';
+                btn.textContent = 'Get';
+
+                const args = { sourceLanguage, targetLanguage };
+                const job = { key: 'Translator', args, label: `Translator ${sourceLanguage} → ${targetLanguage}` };
+                const runDownload = async (download) => {
+                    btn.disabled = true;
+                    try {
+                        await download((percent, state) => {
+                            btn.textContent = state === 'queued' ? 'Queued' : percent === null ? '…' : `${Math.round(percent)}%`;
+                        });
+                        statuses.set(key, normalizeStatus(await checkAvailability(apiObject, { sourceLanguage, targetLanguage })));
+                        renderPairCell(cell, sourceLanguage, targetLanguage);
+                        updateSummary();
+                    } catch (err) {
+                        console.error("Download failed", err);
+                        cell.title = `${sourceLanguage} → ${targetLanguage}: download failed: ${err.message}`;
+                        btn.textContent = 'Retry';
+                        btn.disabled = false;
+                    }
+                };
+
+                btn.onclick = () => runDownload(onProgress => downloadModel(apiObject, job, onProgress));
+
+                cell.appendChild(btn);
+
+                // Pick up a download queued or started from an earlier popup
+                getDownloadJob(downloadJobId('Translator', args)).then((existing) => {
+                    if (isDownloadInFlight(existing)) runDownload(onProgress => resumeDownload(job, onProgress));
+                });
+                return;
+            }
+
+            const pairBadge = document.createElement('span');
+            pairBadge.className = `status-badge pair-badge ${status}`;
+            pairBadge.textContent = PAIR_STATUS_LABELS[status] || '?';
+            cell.appendChild(pairBadge);
+        }
+
+        function renderGrid(langs) {
+            table.textContent = '';
+
+            const headRow = table.insertRow();
+            const corner = document.createElement('th');
+            corner.title = 'Rows: source language, columns: target language';
+            headRow.appendChild(corner);
+            for (const targetLanguage of langs) {
+                const th = document.createElement('th');
+                th.textContent = targetLanguage;
+                headRow.appendChild(th);
+            }
+
+            for (const sourceLanguage of langs) {
+                const row = table.insertRow();
+                const th = document.createElement('th');
+                th.textContent = sourceLanguage;
+                row.appendChild(th);
+                for (const targetLanguage of langs) {
+                    const cell = row.insertCell();
+                    if (sourceLanguage === targetLanguage) {
+                        cell.textContent = '—';
+                    } else {
+                        renderPairCell(cell, sourceLanguage, targetLanguage);
+                    }
+                }
+            }
+
+            updateSummary();
+        }
+
+        checkBtn.onclick = async () => {
+            const langs = parseLanguageList(input.value);
+            errorMsg.style.display = 'none';
+            if (langs.length < 2) {
+                errorMsg.textContent = 'Enter at least two language codes.';
+                errorMsg.style.display = 'block';
+                return;
+            }
+
+            checkBtn.disabled = true;
+            checkBtn.textContent = 'Checking...';
+            try {
+                await saveSetting('translatorLanguages', langs);
+                statuses = await checkLanguagePairs(apiObject, langs);
+                currentLanguages = langs;
+                input.value = langs.join(', ');
+                renderGrid(langs);
+            } catch (err) {
+                console.error("Language pair check failed", err);
+                errorMsg.textContent = "Error: " + err.message;
+                errorMsg.style.display = 'block';
+            } finally {
+                checkBtn.textContent = 'Check';
+                checkBtn.disabled = false;
+            }
+        };
+
+        renderGrid(languages);
+        return container;
+    }
+
+    // Collects the page's visible text nodes and keeps them, with their
+    // original values, on the isolated world so later calls can write back.
+    async function collectPageTextNodes(tabId) {
+        const result = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: () => {
+                const previous = window.__checkaTranslation;
+                if (previous) {
+                    previous.nodes.forEach((node, i) => { node.nodeValue = previous.original[i]; });
+                }
+
+                const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+                    acceptNode: (node) => {
+                        if (!node.nodeValue.trim()) return NodeFilter.FILTER_REJECT;
+                        const parent = node.parentElement;
+                        if (!parent || parent.closest('script, style, noscript, textarea, code, pre') || parent.isContentEditable) {
+                            return NodeFilter.FILTER_REJECT;
+                        }
+                        return NodeFilter.FILTER_ACCEPT;
+                    }
+                });
+
+                const nodes = [];
+                while (walker.nextNode()) nodes.push(walker.currentNode);
+                window.__checkaTranslation = {
+                    nodes,
+                    original: nodes.map(node => node.nodeValue),
+                    translated: []
+                };
+                return window.__checkaTranslation.original;
+            }
+        });
+        return result[0].result;
+    }
+
+    async function writePageTextNodes(tabId, start, texts) {
+        await chrome.scripting.executeScript({
+            target: { tabId },
+            func: (start, texts) => {
+                const state = window.__checkaTranslation;
+                if (!state) return;
+                texts.forEach((text, i) => {
+                    state.nodes[start + i].nodeValue = text;
+                    state.translated[start + i] = text;
+                });
+            },
+            args: [start, texts]
+        });
+    }
+
+    async function togglePageTranslation(tabId, showOriginal) {
+        await chrome.scripting.executeScript({
+            target: { tabId },
+            func: (showOriginal) => {
+                const state = window.__checkaTranslation;
+                if (!state) return;
+                state.nodes.forEach((node, i) => {
+                    const text = showOriginal ? state.original[i] : state.translated[i];
+                    if (text !== undefined) node.nodeValue = text;
+                });
+            },
+            args: [showOriginal]
+        });
+    }
+
+    // Long text nodes are translated sentence-group by sentence-group
+    function splitForTranslation(text, maxLength) {
+        if (text.length <= maxLength) return [text];
+        const parts = [];
+        let current = '';
+        for (const segment of splitIntoSegments(text)) {
+            for (const piece of segment.length > maxLength ? hardSplit(segment, maxLength) : [segment]) {
+                if (current && (current + piece).length > maxLength) {
+                    parts.push(current);
+                    current = '';
+                }
+                current += piece;
+            }
+        }
+        if (current) parts.push(current);
+        return parts;
+    }
+
+    async function translateSegment(translator, text) {
+        // Keep surrounding whitespace so inline text doesn't run together
+        const [, leading, body, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        const translatedParts = [];
+        for (const part of splitForTranslation(body, 1000)) {
+            translatedParts.push(await translator.translate(part));
+        }
+        return leading + translatedParts.join(' ') + trailing;
+    }
+
+    async function detectLanguage(text) {
+        const { api: detectorApi } = getApiObject({ key: 'LanguageDetector' });
+        if (!detectorApi) throw new Error("Language Detector not available");
+
+        const detector = await detectorApi.create();
+        try {
+            const [top] = await detector.detect(text.slice(0, 2000));
+            return top;
+        } finally {
+            detector.destroy();
+        }
+    }
+
+    function renderTranslatePageAction(apiObject, languages, pairStatuses) {
+        const actions = document.createElement('div');
+        actions.className = 'actions';
+        actions.style.flexDirection = 'column';
+
+        const selects = document.createElement('div');
+        selects.className = 'pair-config';
+
+        const sourceSelect = document.createElement('select');
+        const targetSelect = document.createElement('select');
+        selects.appendChild(sourceSelect);
+        selects.appendChild(targetSelect);
+
+        let statuses = pairStatuses;
+
+        function isUsablePair(sourceLanguage, targetLanguage) {
+            const status = statuses.get(`${sourceLanguage}>${targetLanguage}`);
+            return ['available', 'downloadable', 'downloading'].includes(normalizeStatus(status));
+        }
+
+        // The pair picked for Translate Page when it's usable, otherwise the
+        // first available pair into the picked language, or any at all
+        function updateSnippetPair() {
+            const pairs = [...statuses].map(([key, status]) => [...key.split('>'), normalizeStatus(status)]);
+            const available = pairs.filter(([, , status]) => status === 'available');
+            const [sourceLanguage, targetLanguage] =
+                pairs.find(([source, target]) => source === sourceSelect.value && target === targetSelect.value && isUsablePair(source, target))
+                || available.find(([, target]) => target === targetSelect.value)
+                || available[0]
+                || [];
+            translatorSnippetPair = targetLanguage ? { sourceLanguage, targetLanguage } : null;
+        }
+        sourceSelect.onchange = updateSnippetPair;
+        targetSelect.onchange = updateSnippetPair;
+
+        // Only offers targets that at least one usable pair translates into,
+        // and hides the action when there are none
+        function setPairs(langs, pairs) {
+            statuses = pairs;
+            const targets = langs.filter(target => langs.some(source => source !== target && isUsablePair(source, target)));
+            actions.style.display = targets.length ? 'flex' : 'none';
+
+            const previousTarget = targetSelect.value;
+            sourceSelect.textContent = '';
+            targetSelect.textContent = '';
+            sourceSelect.appendChild(new Option('Auto-detect', 'auto'));
+            for (const lang of langs) sourceSelect.appendChild(new Option(`from ${lang}`, lang));
+            for (const lang of targets) targetSelect.appendChild(new Option(`to ${lang}`, lang));
+            const browserLanguage = navigator.language.split('-')[0];
+            targetSelect.value = targets.includes(previousTarget) ? previousTarget
+                : targets.includes(browserLanguage) ? browserLanguage : targets[0] || '';
+            updateSnippetPair();
+        }
+
+        const btn = document.createElement('button');
+        btn.className = 'download-btn';
+        btn.textContent = 'Translate Page';
+
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'download-btn secondary-btn';
+        restoreBtn.textContent = 'Restore original';
+        restoreBtn.style.display = 'none';
+
+        const statusLine = document.createElement('div');
+        statusLine.className = 'api-details';
+
+        const errorMsg = document.createElement('div');
+        errorMsg.className = 'error-msg';
+
+        let tabId = null;
+        let showingOriginal = false;
+
+        btn.onclick = async () => {
+            btn.disabled = true;
+            restoreBtn.style.display = 'none';
+            errorMsg.style.display = 'none';
+            statusLine.textContent = '';
+
+            try {
+                const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+                if (!tab) throw new Error("No active tab");
+                tabId = tab.id;
+
+                btn.textContent = 'Reading page...';
+                const segments = await collectPageTextNodes(tabId);
+                if (!segments.length) throw new Error("No text found on page");
+
+                let sourceLanguage = sourceSelect.value;
+                if (sourceLanguage === 'auto') {
+                    btn.textContent = 'Detecting language...';
+                    const detected = await detectLanguage(segments.join(' '));
+                    if (!detected || detected.detectedLanguage === 'und') {
+                        throw new Error("Could not detect the page language, pick it manually");
+                    }
+                    sourceLanguage = detected.detectedLanguage;
+                    statusLine.textContent = `Detected ${sourceLanguage} (${Math.round(detected.confidence * 100)}% confidence)`;
+                }
+
+                const targetLanguage = targetSelect.value;
+                if (sourceLanguage === targetLanguage) {
+                    throw new Error(`Page is already in ${targetLanguage}`);
+                }
+                // Detected languages outside the configured list haven't been checked
+                if (statuses.has(`${sourceLanguage}>${targetLanguage}`) && !isUsablePair(sourceLanguage, targetLanguage)) {
+                    throw new Error(`No translator for ${sourceLanguage} → ${targetLanguage} on this device`);
+                }
+
+                btn.textContent = 'Preparing translator...';
+                const translator = await apiObject.create({
+                    sourceLanguage,
+                    targetLanguage,
+                    monitor: (m) => {
+                        m.addEventListener('downloadprogress', (e) => {
+                            btn.textContent = `Downloading ${Math.round((e.loaded / e.total) * 100)}%...`;
+                        });
+                    }
+                });
+
+                const BATCH_SIZE = 20;
+                try {
+                    for (let start = 0; start < segments.length; start += BATCH_SIZE) {
+                        btn.textContent = `Translating ${start} of ${segments.length}...`;
+                        const batch = [];
+                        for (const segment of segments.slice(start, start + BATCH_SIZE)) {
+                            batch.push(await translateSegment(translator, segment));
+                        }
+                        await writePageTextNodes(tabId, start, batch);
+                    }
+                } finally {
+                    translator.destroy();
+                }
+
+                statusLine.textContent = `${statusLine.textContent ? statusLine.textContent + ' · ' : ''}Translated ${segments.length} segments ${sourceLanguage} → ${targetLanguage}`;
+                showingOriginal = false;
+                restoreBtn.textContent = 'Restore original';
+                restoreBtn.style.display = 'block';
+                btn.textContent = 'Translate Page';
+            } catch (err) {
+                console.error("Page translation failed", err);
+                errorMsg.textContent = "Error: " + err.message;
+                errorMsg.style.display = 'block';
+                btn.textContent = 'Retry Translation';
+                // Batches written before the error are showing, so the toggle
+                // starts over from the translated state
+                showingOriginal = false;
+                restoreBtn.textContent = 'Restore original';
+                if (tabId !== null) restoreBtn.style.display = 'block';
+            } finally {
+                btn.disabled = false;
+            }
+        };
+
+        restoreBtn.onclick = async () => {
+            try {
+                showingOriginal = !showingOriginal;
+                await togglePageTranslation(tabId, showingOriginal);
+                restoreBtn.textContent = showingOriginal ? 'Show translation' : 'Restore original';
+            } catch (err) {
+                showingOriginal = !showingOriginal;
+                console.error("Restoring page failed", err);
+                errorMsg.textContent = "Error: " + err.message;
+                errorMsg.style.display = 'block';
+            }
+        };
+
+        actions.appendChild(selects);
+        actions.appendChild(btn);
+        actions.appendChild(restoreBtn);
+        actions.appendChild(statusLine);
+        actions.appendChild(errorMsg);
+        setPairs(languages, pairStatuses);
+
+        return { element: actions, setPairs };
+    }
+
+    // Older builds answered 'readily', 'after-download' and 'no'
+    const LEGACY_STATUSES = { readily: 'available', 'after-download': 'downloadable', no: 'unavailable' };
+
+    function normalizeStatus(status) {
+        return LEGACY_STATUSES[status] || status;
+    }
+
+    const STATUS_EXPLANATIONS = {
+        unavailable: 'The browser reports that this API can\'t be used here, with these options or on this device.',
+        error: 'availability() threw instead of answering, usually because the arguments aren\'t supported by this build.',
+        available_object: 'availability() returned an object without a status, a shape from an older version of the API.',
+        available_unknown_methods: 'The API object exists but has no availability() method, so this build exposes an older or renamed API surface.'
+    };
+
+    // What the browser lets an extension see of the hardware. VRAM isn't
+    // exposed at all, chrome://on-device-internals shows what Chrome decided.
+    async function collectHardwareSignals() {
+        const signals = {
+            chromeVersion: Number(((await getBrowserInfo()).version || '').split('.')[0]) || null,
+            deviceMemoryGb: navigator.deviceMemory || null,
+            cores: navigator.hardwareConcurrency || null,
+            storageQuotaGb: null,
+            gpu: null
+        };
+        try {
+            const { quota } = await navigator.storage.estimate();
+            signals.storageQuotaGb = quota / 1024 ** 3;
+        } catch (e) {
+            console.warn('Storage estimate failed', e);
+        }
+        if (navigator.gpu) {
+            try {
+                const adapter = await navigator.gpu.requestAdapter();
+                if (adapter && adapter.info) {
+                    signals.gpu = [adapter.info.vendor, adapter.info.architecture].filter(Boolean).join(' ') || 'unknown';
+                }
+            } catch (e) {
+                console.warn('Reading GPU adapter failed', e);
+            }
+        }
+        return signals;
+    }
+
+    // Lists likely causes, most specific first
+    function diagnoseApi(apiDef, { status, path, probe, pairStatuses, signals }) {
+        const guide = TROUBLESHOOTING[apiDef.key] || {};
+        const causes = [];
+
+        if (!path) {
+            if (signals.chromeVersion && guide.minVersion && signals.chromeVersion < guide.minVersion) {
+                causes.push(`Chrome ${signals.chromeVersion} is older than ${guide.minVersion}, the first version that ships this API. Update Chrome or enable the flags below.`);
+            } else {
+                causes.push('The API isn\'t exposed here. It may be behind a flag in this version, or it moved to another namespace.');
+            }
+        } else if (path.includes('Deprecated') || probe.branch === 'legacy-object' || status === 'available_unknown_methods') {
+            causes.push(`Found at ${path} with a legacy shape (${probe.branch}). The API was renamed or moved, update Chrome to get the current one.`);
+        }
+
+        if (pairStatuses) {
+            const unsupported = [...pairStatuses].filter(([, pairStatus]) => normalizeStatus(pairStatus) === 'unavailable').map(([pair]) => pair.replace('>', '→'));
+            if (unsupported.length) causes.push(`Unsupported language pairs: ${unsupported.join(', ')}.`);
+        }
+
+        for (const error of probe.errors) causes.push(`Error: ${error}`);
+
+        if (guide.onDeviceModel && path && normalizeStatus(status) === 'unavailable') {
+            const hardware = [];
+            if (signals.storageQuotaGb !== null) hardware.push(`${signals.storageQuotaGb.toFixed(1)} GB storage quota`);
+            if (signals.deviceMemoryGb) hardware.push(`${signals.deviceMemoryGb >= 8 ? 'at least ' : ''}${signals.deviceMemoryGb} GB RAM`);
+            if (signals.cores) hardware.push(`${signals.cores} CPU cores`);
+            if (signals.gpu) hardware.push(`GPU ${signals.gpu}`);
+            causes.push(`Gemini Nano needs about 22 GB free disk space and either a GPU with more than 4 GB VRAM or 16 GB RAM with 4 CPU cores. This browser reports ${hardware.join(', ') || 'no hardware details'}.`);
+            if (signals.storageQuotaGb !== null && signals.storageQuotaGb < 22) {
+                causes.push('The storage quota is below 22 GB, which suggests the disk is too full for the model.');
+            }
+            causes.push('On a managed device, the GenAILocalFoundationalModelSettings enterprise policy can disable the model (see chrome://policy).');
+        }
+
+        return causes;
+    }
+
+    function openBrowserPage(url) {
+        // chrome:// links don't navigate from the popup, tabs.create does
+        chrome.tabs.create({ url });
+    }
+
+    // Collapsed panel for statuses that aren't ready; the probes run when it
+    // is first opened. onRecheck re-renders the card.
+    function renderTroubleshooter(apiDef, { status, rawStatus, path, pairStatuses }, onRecheck) {
+        const guide = TROUBLESHOOTING[apiDef.key] || {};
+        const panel = document.createElement('details');
+        panel.className = 'options-panel troubleshoot-panel';
+
+        const summary = document.createElement('summary');
+        summary.textContent = pairStatuses && status !== 'unavailable' ? 'Why are some pairs unavailable?' : 'Why is this unavailable?';
+        panel.appendChild(summary);
+
+        const body = document.createElement('div');
+        panel.appendChild(body);
+
+        // Set from the first open until the diagnosis fails, so toggling the
+        // panel again while it runs doesn't probe twice
+        let diagnosis = null;
+
+        async function diagnose() {
+            body.textContent = 'Checking...';
+
+            const { api: apiObject } = getApiObject(apiDef);
+            let probeArgs = apiDef.checkArgs;
+            if (pairStatuses) {
+                // Probe one failing pair, availability() needs a pair anyway
+                const [failingPair] = [...pairStatuses].find(([, pairStatus]) => normalizeStatus(pairStatus) !== 'available') || [];
+                const [sourceLanguage, targetLanguage] = (failingPair || '').split('>');
+                if (targetLanguage) probeArgs = { sourceLanguage, targetLanguage };
+            }
+            const [probe, signals] = await Promise.all([
+                probeAvailability(apiObject, probeArgs),
+                collectHardwareSignals()
+            ]);
+            body.textContent = '';
+
+            const explanation = document.createElement('div');
+            explanation.className = 'api-details';
+            explanation.textContent = STATUS_EXPLANATIONS[normalizeStatus(status)] || '';
+            if (rawStatus !== status) explanation.textContent += ` Reported as the legacy value '${rawStatus}'.`;
+            body.appendChild(explanation);
+
+            const list = document.createElement('ul');
+            list.className = 'troubleshoot-causes';
+            for (const cause of diagnoseApi(apiDef, { status, path, probe, pairStatuses, signals })) {
+                const item = document.createElement('li');
+                item.textContent = cause;
+                list.appendChild(item);
+            }
+            body.appendChild(list);
+
+            const links = document.createElement('div');
+            links.className = 'troubleshoot-links';
+            const targets = [
+                ...(guide.flags || []).map(flag => [`chrome://flags/#${flag}`, `chrome://flags/#${flag}`]),
+                ['chrome://on-device-internals', 'chrome://on-device-internals'],
+                ...(guide.docs ? [['Documentation', guide.docs]] : [])
+            ];
+            for (const [label, url] of targets) {
+                const link = document.createElement('a');
+                link.href = url;
+                link.textContent = label;
+                link.onclick = (e) => {
+                    e.preventDefault();
+                    openBrowserPage(url);
+                };
+                links.appendChild(link);
+            }
+            body.appendChild(links);
+
+            const recheckBtn = document.createElement('button');
+            recheckBtn.className = 'download-btn secondary-btn';
+            recheckBtn.textContent = 'Re-check';
+            const recheckError = document.createElement('div');
+            recheckError.className = 'error-msg';
+            recheckBtn.onclick = async () => {
+                recheckBtn.disabled = true;
+                recheckBtn.textContent = 'Checking...';
+                recheckError.style.display = 'none';
+                try {
+                    await onRecheck();
+                } catch (err) {
+                    console.error("Re-check failed", err);
+                    recheckError.textContent = "Error: " + err.message;
+                    recheckError.style.display = 'block';
+                } finally {
+                    recheckBtn.disabled = false;
+                    recheckBtn.textContent = 'Re-check';
+                }
+            };
+            body.appendChild(recheckBtn);
+            body.appendChild(recheckError);
+        }
+
+        panel.addEventListener('toggle', () => {
+            if (!panel.open || diagnosis) return;
+            diagnosis = diagnose().catch((err) => {
+                console.error("Troubleshooting failed", err);
+                body.textContent = "Error: " + err.message;
+                diagnosis = null;
+            });
+        });
+
+        return panel;
+    }
+
+    async function renderApiItem(apiDef) {
+        const card = document.createElement('div');
+        card.className = 'api-card';
+
+        const { api: apiObject, path } = getApiObject(apiDef);
+
+        let rawStatus;
+        let languages;
+        let pairStatuses;
+        if (apiDef.languagePairs && apiObject) {
+            languages = await loadSetting('translatorLanguages', DEFAULT_TRANSLATOR_LANGUAGES);
+            pairStatuses = await checkLanguagePairs(apiObject, languages);
+            rawStatus = summarizePairStatuses(pairStatuses);
+        } else {
+            rawStatus = await checkAvailability(apiObject, apiDef.checkArgs);
+        }
+        const status = normalizeStatus(rawStatus);
+        apiStatuses.set(apiDef.key, status);
+
+        // Header
+        const header = document.createElement('div');
+        header.className = 'api-header';
+
+        const name = document.createElement('div');
+        name.className = 'api-name';
+        name.textContent = apiDef.name;
+
+        const badge = document.createElement('div');
+        badge.className = `status-badge ${status}`;
+        badge.textContent = status;
+        if (rawStatus !== status) badge.title = `Reported as '${rawStatus}'`;
+
+        header.appendChild(name);
+        header.appendChild(badge);
+        card.appendChild(header);
+
+        // Details
+        const details = document.createElement('div');
+        details.className = 'api-details';
+        details.textContent = path || 'Not found';
+        card.appendChild(details);
+
+        const hasUnavailablePairs = Boolean(pairStatuses) && [...pairStatuses.values()].some(pairStatus => ['unavailable', 'error'].includes(pairStatus));
+        if (!['available', 'downloadable', 'downloading'].includes(status) || hasUnavailablePairs) {
+            card.appendChild(renderTroubleshooter(apiDef, { status, rawStatus, path, pairStatuses }, async () => {
+                card.replaceWith(await renderApiItem(apiDef));
+            }));
+        }
+
+        // Download Action
+        if (pairStatuses) {
+            // Per-pair download buttons live in the matrix itself
+            const translateAction = renderTranslatePageAction(apiObject, languages, pairStatuses);
+            card.appendChild(renderTranslatorMatrix(apiObject, languages, pairStatuses, badge, translateAction.setPairs));
+            card.appendChild(translateAction.element);
+        } else if (status === 'downloadable' || status === 'downloading') {
+            const actions = document.createElement('div');
+            actions.className = 'actions';
+
+            const btn = document.createElement('button');
+            btn.className = 'download-btn';
+            btn.textContent = 'Download Model';
+
+            const progressContainer = document.createElement('div');
+            progressContainer.className = 'progress-container';
+            const progressBar = document.createElement('div');
+            progressBar.className = 'progress-bar';
+            progressContainer.appendChild(progressBar);
+
+            const errorMsg = document.createElement('div');
+            errorMsg.className = 'error-msg';
+
+            const job = { key: apiDef.key, args: apiDef.checkArgs, label: apiDef.name };
+            const runDownload = async (download) => {
+                btn.disabled = true;
+                progressContainer.classList.add('active');
+                errorMsg.style.display = 'none';
+
+                try {
+                    await download((percent, state) => {
+                        if (state === 'queued') {
+                            btn.textContent = 'Queued...';
+                        } else if (percent === null) {
+                            btn.textContent = 'Downloading, progress unknown...';
+                        } else {
+                            progressBar.style.width = `${percent}%`;
+                            btn.textContent = `Downloading ${Math.round(percent)}%...`;
+                        }
+                    });
+
+                    btn.textContent = 'Downloaded!';
+                    btn.onclick = null;
+                    setBadge(badge, 'available');
+
+                    // Re-render to show Summarize button if applicable
+                    card.replaceWith(await renderApiItem(apiDef));
+
+                } catch (err) {
+                    console.error("Download failed", err);
+                    errorMsg.textContent = "Download failed: " + err.message;
+                    errorMsg.style.display = 'block';
+                    btn.textContent = 'Retry Download';
+                    btn.disabled = false;
+                }
+            };
+
+            btn.onclick = () => runDownload(onProgress => downloadModel(apiObject, job, onProgress));
+
+            actions.appendChild(btn);
+            card.appendChild(actions);
+            card.appendChild(progressContainer);
+            card.appendChild(errorMsg);
+
+            // Reattach to a download that kept running or waiting while the popup was closed
+            if (isDownloadInFlight(await getDownloadJob(downloadJobId(apiDef.key, apiDef.checkArgs)))) {
+                runDownload(onProgress => resumeDownload(job, onProgress));
+            }
+        } else if (apiDef.key === 'Summarizer' && status === 'available') {
+            const actions = document.createElement('div');
+            actions.className = 'actions';
+
+            const btn = document.createElement('button');
+            btn.className = 'download-btn'; // Re-use style
+            btn.textContent = 'Summarize Page';
+
+            const savedOptions = await loadSetting('summarizerOptions', DEFAULT_SUMMARIZER_OPTIONS);
+            const optionsPanel = renderOptionsPanel(SUMMARIZER_CHOICES, ['sharedContext'], savedOptions);
+
+            const comboStatus = document.createElement('div');
+            comboStatus.className = 'api-details';
+            optionsPanel.element.appendChild(comboStatus);
+
+            // availability() takes the create() options minus sharedContext
+            const getAvailabilityArgs = () => {
+                const { sharedContext, ...args } = optionsPanel.getValues();
+                return args;
+            };
+
+            const updateComboStatus = async () => {
+                comboStatus.textContent = 'This combination: ' + await checkAvailability(apiObject, getAvailabilityArgs());
+            };
+            for (const key of Object.keys(SUMMARIZER_CHOICES)) {
+                optionsPanel.inputs[key].addEventListener('change', updateComboStatus);
+            }
+            updateComboStatus();
+
+            const summaryOutput = document.createElement('div');
+            summaryOutput.className = 'summary-output';
+            summaryOutput.style.marginTop = '10px';
+            summaryOutput.style.fontSize = '0.9rem';
+            summaryOutput.style.whiteSpace = 'pre-wrap';
+            summaryOutput.style.padding = '8px';
+            summaryOutput.style.background = '#f1f5f9';
+            summaryOutput.style.borderRadius = '4px';
+            summaryOutput.style.display = 'none';
+
+            // Adds the "Create Use Cases" button if Language Model is available
+            const showUseCaseAction = async (summary, page) => {
+                if (globalThis.LanguageModel || (window.ai && window.ai.languageModel)) {
+                    const useCaseBtn = document.createElement('button');
+                    useCaseBtn.className = 'download-btn use-case-btn';
+                    useCaseBtn.textContent = 'Create Use Cases';
+                    useCaseBtn.style.marginTop = '8px';
+                    useCaseBtn.style.backgroundColor = '#8b5cf6'; // Violet color to distinguish
+
+                    // Hover effect for violet button
+                    useCaseBtn.onmouseover = () => useCaseBtn.style.backgroundColor = '#7c3aed';
+                    useCaseBtn.onmouseout = () => useCaseBtn.style.backgroundColor = '#8b5cf6';
+
+                    const useCaseOutput = document.createElement('div');
+                    useCaseOutput.className = 'use-case-output';
+                    useCaseOutput.style.marginTop = '10px';
+                    useCaseOutput.style.fontSize = '0.9rem';
+                    useCaseOutput.style.whiteSpace = 'pre-wrap';
+                    useCaseOutput.style.padding = '8px';
+                    useCaseOutput.style.background = '#f1f5f9';
+                    useCaseOutput.style.borderRadius = '4px';
+                    useCaseOutput.style.display = 'none';
+
+                    const useCaseStopBtn = createStopButton();
+                    let useCaseController = null;
+                    useCaseStopBtn.onclick = () => useCaseController && useCaseController.abort();
+
+                    useCaseBtn.onclick = async () => {
+                        useCaseBtn.disabled = true;
+                        useCaseBtn.textContent = 'Ideating...';
+                        useCaseOutput.style.display = 'none';
+                        useCaseOutput.textContent = '';
+                        useCaseController = new AbortController();
+                        const signal = useCaseController.signal;
+                        useCaseStopBtn.style.display = 'block';
+
+                        try {
+                            const systemPrompt = `You are a Product Manager for the page being analyzed. You want to optimize revenue. Analyze the following summary of a webpage and ideate 3-5 innovative use cases for on-device AI that could be implemented for this specific page. ${USE_CASE_FIELDS_PROMPT}`;
+                            const userPrompt = `Summary:\n${summary}`;
+
+                            const { api: languageModel } = getApiObject({ key: 'languageModel' });
+                            const lmStatus = await checkAvailability(languageModel);
+                            if (['unavailable', 'no', 'error'].includes(lmStatus)) { // Check availability first
+                                throw new Error("Language Model not available");
+                            }
+
+                            const session = await languageModel.create({
+                                initialPrompts: [
+                                    { role: 'system', content: systemPrompt }
+                                ],
+                                signal
+                            });
+
+                            let result;
+                            try {
+                                result = await consumeStream(session.promptStreaming(userPrompt, {
+                                    signal,
+                                    responseConstraint: USE_CASE_SCHEMA
+                                }), (partial) => {
+                                    useCaseOutput.textContent = partial;
+                                    useCaseOutput.style.display = 'block';
+                                });
+                            } finally {
                                 session.destroy();
+                            }
+
+                            const useCases = parseUseCases(result);
+                            useCaseOutput.textContent = '';
+                            useCaseOutput.appendChild(renderUseCaseList(useCases));
+                            useCaseOutput.style.display = 'block';
+
+                            if (page) {
+                                await storeResult(await cacheKey('use-cases', page.url, summary), {
+                                    kind: 'use-cases',
+                                    url: page.url,
+                                    title: page.title,
+                                    result: useCases
+                                });
+                            }
+                            useCaseBtn.textContent = 'Create Use Cases';
+                            useCaseBtn.disabled = false;
+
+                        } catch (err) {
+                            if (isAbortError(err)) {
+                                useCaseOutput.textContent += useCaseOutput.textContent ? '\n\n[Stopped]' : '[Stopped]';
+                                useCaseBtn.textContent = 'Create Use Cases';
+                            } else {
+                                console.error("Use case generation failed", err);
+                                useCaseOutput.textContent = "Error: " + err.message;
+                                useCaseBtn.textContent = 'Retry Use Cases';
+                            }
+                            useCaseOutput.style.display = 'block';
+                            useCaseBtn.disabled = false;
+                        } finally {
+                            useCaseStopBtn.style.display = 'none';
+                        }
+                    };
+
+                    actions.appendChild(useCaseBtn);
+                    actions.appendChild(useCaseStopBtn);
+                    actions.appendChild(useCaseOutput);
+
+                    // Show use cases generated earlier from this same summary
+                    const cached = page && await getCachedResult(await cacheKey('use-cases', page.url, summary));
+                    if (cached) {
+                        useCaseOutput.append(renderCacheNote(cached), renderUseCaseList(cached.result));
+                        useCaseOutput.style.display = 'block';
+                        useCaseBtn.textContent = 'Re-run Use Cases';
+                    }
+                }
+            };
+
+            const stopBtn = createStopButton();
+            let controller = null;
+            stopBtn.onclick = () => controller && controller.abort();
+
+            btn.onclick = async () => {
+                btn.disabled = true;
+                btn.textContent = 'Summarizing...';
+                summaryOutput.style.display = 'none';
+                summaryOutput.textContent = '';
+                controller = new AbortController();
+                stopBtn.style.display = 'block';
+
+                // Remove any existing use case buttons/outputs if re-summarizing
+                for (const note of actions.querySelectorAll('.cache-note')) note.remove();
+                const existingUseCaseBtn = actions.querySelector('.use-case-btn');
+                if (existingUseCaseBtn) existingUseCaseBtn.remove();
+                const existingUseCaseOutput = actions.querySelector('.use-case-output');
+                if (existingUseCaseOutput) existingUseCaseOutput.remove();
+
+                try {
+                    const summarizerOptions = optionsPanel.getValues();
+                    await saveSetting('summarizerOptions', summarizerOptions);
+
+                    const comboAvailability = await checkAvailability(apiObject, getAvailabilityArgs());
+                    comboStatus.textContent = 'This combination: ' + comboAvailability;
+                    if (['unavailable', 'no', 'error'].includes(comboAvailability)) {
+                        throw new Error(`Summarizer is ${comboAvailability} for these options`);
+                    }
+
+                    const text = await getTabContent();
+                    if (!text) throw new Error("No text found on page");
+                    const page = await getPageIdentity();
+
+                    const summary = await runSummarization(text, apiObject, {
+                        summarizerOptions,
+                        signal: controller.signal,
+                        onProgress: (progress) => {
+                            btn.textContent = describeSummaryProgress(progress);
+                        },
+                        onUpdate: (partial) => {
+                            summaryOutput.textContent = partial;
+                            summaryOutput.style.display = 'block';
+                        }
+                    });
+
+                    summaryOutput.textContent = summary;
+                    summaryOutput.style.display = 'block';
+                    btn.textContent = 'Summarize Page';
+                    btn.disabled = false;
+                    stopBtn.style.display = 'none';
+
+                    if (page) {
+                        await storeResult(await cacheKey('summary', page.url, text, summarizerOptions), {
+                            kind: 'summary',
+                            url: page.url,
+                            title: page.title,
+                            options: summarizerOptions,
+                            result: summary
+                        });
+                    }
+
+                    await showUseCaseAction(summary, page);
+
+                } catch (err) {
+                    if (isAbortError(err)) {
+                        summaryOutput.textContent += summaryOutput.textContent ? '\n\n[Stopped]' : '[Stopped]';
+                        btn.textContent = 'Summarize Page';
+                    } else {
+                        console.error("Summarization failed", err);
+                        summaryOutput.textContent = "Error: " + err.message;
+                        btn.textContent = 'Retry';
+                    }
+                    summaryOutput.style.display = 'block';
+                    btn.disabled = false;
+                    stopBtn.style.display = 'none';
+                }
+            };
+
+            actions.appendChild(optionsPanel.element);
+            actions.appendChild(btn);
+            actions.appendChild(stopBtn);
+            actions.appendChild(summaryOutput); // Append strictly inside actions for layout
+            card.appendChild(actions);
+
+            // Shows the last summary of this exact content once the page has
+            // been extracted. Not awaited, so the other cards don't wait on it.
+            async function showCachedSummary() {
+                const page = await getPageIdentity();
+                const initialText = page && await getInitialContent();
+                const cachedSummary = initialText && await getCachedResult(await cacheKey('summary', page.url, initialText, optionsPanel.getValues()));
+                // A run started meanwhile wins
+                if (!cachedSummary || btn.disabled || summaryOutput.textContent) return;
+                summaryOutput.textContent = cachedSummary.result;
+                summaryOutput.style.display = 'block';
+                summaryOutput.before(renderCacheNote(cachedSummary));
+                btn.textContent = 'Re-run Summary';
+                await showUseCaseAction(cachedSummary.result, page);
+            }
+            showCachedSummary().catch((err) => console.error("Cache lookup failed", err));
+
+            // Move summaryOutput outside actions if you want it full width, 
+            // but actions is flex row usually? 
+            // CSS for .actions says: display: flex; gap: 8px;
+            // We probably want the button and then the summary below it.
+            // Let's adjust styles dynamically or in CSS.
+            actions.style.flexDirection = 'column';
+        } else if (PLAYGROUNDS[apiDef.key] && status === 'available') {
+            card.appendChild(await renderPlayground(apiObject, PLAYGROUNDS[apiDef.key]));
+        } else if (apiDef.key === 'languageModel' && status === 'available') {
+            const actions = document.createElement('div');
+            actions.className = 'actions';
+
+            const btn = document.createElement('button');
+            btn.className = 'download-btn'; // Re-use style
+            btn.textContent = 'Suggest Use Cases';
+
+            const suggestionOutput = document.createElement('div');
+            suggestionOutput.className = 'suggestion-output';
+            suggestionOutput.style.marginTop = '10px';
+            suggestionOutput.style.fontSize = '0.9rem';
+            suggestionOutput.style.whiteSpace = 'pre-wrap';
+            suggestionOutput.style.padding = '8px';
+            suggestionOutput.style.background = '#f1f5f9';
+            suggestionOutput.style.borderRadius = '4px';
+            suggestionOutput.style.display = 'none';
+
+            const stopBtn = createStopButton();
+            let controller = null;
+            stopBtn.onclick = () => controller && controller.abort();
+
+            btn.onclick = async () => {
+                btn.disabled = true;
+                btn.textContent = 'Thinking...';
+                suggestionOutput.style.display = 'none';
+                suggestionOutput.textContent = '';
+                controller = new AbortController();
+                stopBtn.style.display = 'block';
+
+                try {
+                    const text = await getTabContent();
+                    if (!text) throw new Error("No text found on page");
+                    const page = await getPageIdentity();
+
+                    const suggestions = await suggestUseCases(text, apiObject, {
+                        signal: controller.signal,
+                        onProgress: ({ chunk, chunks, pass }) => {
+                            btn.textContent = `Reading chunk ${chunk} of ${chunks}, pass ${pass}...`;
+                        },
+                        onUpdate: (partial) => {
+                            suggestionOutput.textContent = partial;
+                            suggestionOutput.style.display = 'block';
+                        }
+                    });
+
+                    suggestionOutput.textContent = '';
+                    suggestionOutput.appendChild(renderUseCaseList(suggestions));
+                    suggestionOutput.style.display = 'block';
+                    btn.textContent = 'Suggest Use Cases';
+                    btn.disabled = false;
+
+                    if (page) {
+                        await storeResult(await cacheKey('suggestions', page.url, text), {
+                            kind: 'suggestions',
+                            url: page.url,
+                            title: page.title,
+                            result: suggestions
+                        });
+                    }
+                } catch (err) {
+                    if (isAbortError(err)) {
+                        suggestionOutput.textContent += suggestionOutput.textContent ? '\n\n[Stopped]' : '[Stopped]';
+                        btn.textContent = 'Suggest Use Cases';
+                    } else {
+                        console.error("Suggestion failed", err);
+                        suggestionOutput.textContent = "Error: " + err.message;
+                        btn.textContent = 'Retry';
+                    }
+                    suggestionOutput.style.display = 'block';
+                    btn.disabled = false;
+                } finally {
+                    stopBtn.style.display = 'none';
+                }
+            };
+
+            actions.appendChild(btn);
+            actions.appendChild(stopBtn);
+            actions.appendChild(suggestionOutput);
+            card.appendChild(actions);
+            actions.style.flexDirection = 'column';
+            card.appendChild(await renderChatPanel(apiObject));
+
+            // Not awaited either, like showCachedSummary
+            async function showCachedSuggestions() {
+                const page = await getPageIdentity();
+                const initialText = page && await getInitialContent();
+                const cachedSuggestions = initialText && await getCachedResult(await cacheKey('suggestions', page.url, initialText));
+                if (!cachedSuggestions || btn.disabled || suggestionOutput.textContent) return;
+                suggestionOutput.append(renderCacheNote(cachedSuggestions), renderUseCaseList(cachedSuggestions.result));
+                suggestionOutput.style.display = 'block';
+                btn.textContent = 'Re-run Suggestions';
+            }
+            showCachedSuggestions().catch((err) => console.error("Cache lookup failed", err));
+        }
+
+        if (path && SNIPPET_CALLS[apiDef.key]) card.appendChild(renderCopyCodeAction(apiDef));
+
+        return card;
+    }
+
+    async function getBrowserInfo() {
+        const info = { userAgent: navigator.userAgent, platform: navigator.platform, version: null };
+        const match = /Chrome\/([\d.]+)/.exec(navigator.userAgent);
+        if (match) info.version = match[1];
+
+        if (navigator.userAgentData) {
+            try {
+                const data = await navigator.userAgentData.getHighEntropyValues(['fullVersionList', 'platformVersion', 'architecture', 'bitness', 'model']);
+                info.userAgentData = {
+                    brands: data.fullVersionList || data.brands,
+                    platform: data.platform,
+                    platformVersion: data.platformVersion,
+                    architecture: data.architecture,
+                    bitness: data.bitness,
+                    model: data.model,
+                    mobile: data.mobile
+                };
+                // The UA string is frozen to a major version, the brand list isn't
+                const brand = info.userAgentData.brands.find(b => b.brand === 'Google Chrome' || b.brand === 'Chromium');
+                if (brand) info.version = brand.version;
+            } catch (e) {
+                console.warn('Reading userAgentData failed', e);
+            }
+        }
+        return info;
+    }
+
+    async function buildDiagnosticsReport() {
+        const report = {
+            generatedAt: new Date().toISOString(),
+            extensionVersion: chrome.runtime.getManifest().version,
+            browser: await getBrowserInfo(),
+            simulated: simulation.enabled,
+            apis: []
+        };
+
+        for (const apiDef of apis) {
+            const { api: apiObject, path } = getApiObject(apiDef);
+            let entry;
+
+            if (apiDef.languagePairs && apiObject) {
+                const languages = await loadSetting('translatorLanguages', DEFAULT_TRANSLATOR_LANGUAGES);
+                const pairs = {};
+                const errors = [];
+                let firstProbe = null;
+                for (const sourceLanguage of languages) {
+                    for (const targetLanguage of languages) {
+                        if (sourceLanguage === targetLanguage) continue;
+                        const probe = await probeAvailability(apiObject, { sourceLanguage, targetLanguage });
+                        const pair = `${sourceLanguage}>${targetLanguage}`;
+                        pairs[pair] = probe.status;
+                        errors.push(...probe.errors.map(message => `${pair}: ${message}`));
+                        if (!firstProbe) firstProbe = probe;
+                    }
+                }
+                entry = { ...firstProbe, status: summarizePairStatuses(new Map(Object.entries(pairs))), errors, pairs };
+            } else {
+                entry = await probeAvailability(apiObject, apiDef.checkArgs);
+            }
+
+            entry = { name: apiDef.name, key: apiDef.key, path: path || null, checkArgs: apiDef.checkArgs || null, ...entry };
+
+            if (apiObject && typeof apiObject.params === 'function') {
+                try {
+                    entry.params = toPlainObject(await apiObject.params());
+                } catch (e) {
+                    entry.errors.push(`params(): ${e.message}`);
+                }
+            }
+
+            report.apis.push(entry);
+        }
+        return report;
+    }
+
+    function reportToMarkdown(report) {
+        const cell = (value) => String(value === undefined || value === null ? '' : value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+        const lines = [
+            '## Chrome AI availability report',
+            '',
+            `Generated ${report.generatedAt} on Chrome ${report.browser.version || 'unknown'} (${report.browser.platform})`,
+            '',
+            '| API | Path | Status | Raw | Branch | Details | Errors |',
+            '|---|---|---|---|---|---|---|'
+        ];
+
+        for (const entry of report.apis) {
+            const details = [];
+            if (entry.pairs) {
+                details.push(Object.entries(entry.pairs).map(([pair, status]) => `${pair}: ${status}`).join(', '));
+            }
+            if (entry.params) details.push(`params ${JSON.stringify(entry.params)}`);
+
+            lines.push(`| ${[
+                entry.name,
+                entry.path || 'Not found',
+                entry.status,
+                typeof entry.raw === 'object' ? JSON.stringify(entry.raw) : entry.raw,
+                entry.branch,
+                details.join('; '),
+                entry.errors.join('; ')
+            ].map(cell).join(' | ')} |`);
+        }
+        return lines.join('\n');
+    }
+
+    function renderReportComparison(mine, theirs) {
+        const table = document.createElement('table');
+        table.className = 'report-table';
+
+        const headRow = table.insertRow();
+        for (const heading of ['API', `Mine (${mine.browser.version || '?'})`, `Theirs (${theirs.browser.version || '?'})`]) {
+            const th = document.createElement('th');
+            th.textContent = heading;
+            headRow.appendChild(th);
+        }
+
+        const keys = [...new Set([...mine.apis, ...theirs.apis].map(entry => entry.key))];
+        for (const key of keys) {
+            const ours = mine.apis.find(entry => entry.key === key);
+            const other = theirs.apis.find(entry => entry.key === key);
+            const row = table.insertRow();
+            if (!ours || !other || ours.status !== other.status) row.className = 'diff';
+
+            const nameCell = row.insertCell();
+            nameCell.textContent = (ours || other).name;
+
+            for (const entry of [ours, other]) {
+                const statusCell = row.insertCell();
+                if (!entry) {
+                    statusCell.textContent = '—';
+                    continue;
+                }
+                const statusBadge = document.createElement('span');
+                statusBadge.className = `status-badge ${entry.status}`;
+                statusBadge.textContent = entry.status;
+                statusCell.appendChild(statusBadge);
+                statusCell.title = [entry.path || 'Not found', `branch: ${entry.branch}`, ...entry.errors].join('\n');
+            }
+        }
+        return table;
+    }
+
+    const reportStatus = document.getElementById('report-status');
+    const reportView = document.getElementById('report-view');
+    const importFile = document.getElementById('import-file');
+
+    document.getElementById('export-report').onclick = async () => {
+        reportStatus.textContent = 'Collecting...';
+        try {
+            const report = await buildDiagnosticsReport();
+
+            downloadJson(`ai-availability-report-${report.generatedAt.slice(0, 10)}.json`, report);
+
+            await navigator.clipboard.writeText(reportToMarkdown(report));
+            reportStatus.textContent = 'Saved JSON report, Markdown table copied to the clipboard.';
+        } catch (err) {
+            console.error("Report export failed", err);
+            reportStatus.textContent = "Error: " + err.message;
+        }
+    };
+
+    document.getElementById('import-report').onclick = () => importFile.click();
+
+    importFile.onchange = async () => {
+        const [file] = importFile.files;
+        importFile.value = '';
+        if (!file) return;
+
+        reportView.textContent = '';
+        reportStatus.textContent = 'Comparing...';
+        try {
+            const theirs = JSON.parse(await file.text());
+            if (!theirs || !Array.isArray(theirs.apis) || !theirs.browser) {
+                throw new Error("Not an availability report");
+            }
+            const mine = await buildDiagnosticsReport();
+            reportView.appendChild(renderReportComparison(mine, theirs));
+            reportStatus.textContent = `Comparing with ${file.name}, generated ${theirs.generatedAt}. Differences are highlighted.`;
+        } catch (err) {
+            console.error("Report import failed", err);
+            reportStatus.textContent = "Error: " + err.message;
+        }
+    };
+
+    // Runs in the page's main world in every frame, so it must stay
+    // self-contained. Mirrors getApiObject and probeAvailability closely
+    // enough that a differing status means the page really sees another API.
+    async function probePageAvailability(checks) {
+        const policy = document.permissionsPolicy || document.featurePolicy;
+        const frame = {
+            url: location.href,
+            origin: location.origin,
+            isTop: window === window.top,
+            isSecureContext: window.isSecureContext,
+            originTrialTokens: document.querySelectorAll('meta[http-equiv="origin-trial" i]').length,
+            results: {}
+        };
+
+        for (const { key, policyFeature, args } of checks) {
+            const result = { path: '', status: 'unavailable', errors: [], policyAllowed: null };
+            if (policy && policyFeature) {
+                try {
+                    result.policyAllowed = policy.allowsFeature(policyFeature);
+                } catch (e) {
+                    // Unknown feature names throw in some versions
+                }
+            }
+
+            let apiObject = null;
+            if (key === 'languageModel') {
+                if (globalThis.LanguageModel) {
+                    apiObject = globalThis.LanguageModel;
+                    result.path = 'globalThis.LanguageModel';
+                } else if (window.ai && window.ai.languageModel) {
+                    apiObject = window.ai.languageModel;
+                    result.path = 'window.ai.languageModel (Deprecated)';
+                }
+            } else if (window[key]) {
+                apiObject = window[key];
+                result.path = `window.${key}`;
+            }
+
+            if (apiObject) {
+                if (typeof apiObject.availability === 'function') {
+                    try {
+                        const status = await apiObject.availability(args || undefined);
+                        result.status = status && typeof status === 'object' ? status.available || 'available_object' : status;
+                    } catch (e) {
+                        result.status = 'error';
+                        result.errors.push(`${e.name}: ${e.message}`);
+                    }
+                } else {
+                    result.status = 'available_unknown_methods';
+                }
+            }
+            frame.results[key] = result;
+        }
+        return frame;
+    }
+
+    // Explains why the page gets a worse answer than the extension
+    function explainPageStatus(frame, pageResult, extensionStatus) {
+        if (pageResult.status === extensionStatus) return '';
+        if (!frame.isSecureContext) return 'Insecure context, the APIs need HTTPS or localhost';
+        if (pageResult.policyAllowed === false) {
+            return frame.isTop
+                ? 'Blocked by the Permissions-Policy header'
+                : 'Blocked by permissions policy, the iframe needs an allow attribute for this feature';
+        }
+        if (pageResult.errors.length) return pageResult.errors.join('; ');
+        if (!pageResult.path) {
+            return frame.originTrialTokens
+                ? 'Not exposed to this page, check that the origin trial token covers this API and origin'
+                : 'Not exposed to web pages, it may need an origin trial token or a flag';
+        }
+        return 'The page sees a different status than the extension';
+    }
+
+    // Optional host access for frames and tabs beyond what activeTab covers
+    const ALL_SITES = { origins: ['<all_urls>'] };
+    // Listing the frames a page check could not reach needs webNavigation too,
+    // which is optional since it warns about reading the browsing history
+    const FRAME_ACCESS = { permissions: ['webNavigation'], origins: ALL_SITES.origins };
+
+    // request() needs the click's user gesture, so click handlers call this
+    // before awaiting anything. A failed request counts as refused.
+    function requestAccess(access) {
+        return chrome.permissions.request(access).catch((err) => {
+            console.error("Permission request failed", err);
+            return false;
+        });
+    }
+
+    async function checkThisPage() {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab) throw new Error("No active tab");
+
+        const languages = await loadSetting('translatorLanguages', DEFAULT_TRANSLATOR_LANGUAGES);
+        const checks = apis.map(apiDef => ({
+            key: apiDef.key,
+            name: apiDef.name,
+            policyFeature: apiDef.policyFeature,
+            // Translator availability needs a pair, use the first configured one
+            args: apiDef.languagePairs && languages.length > 1
+                ? { sourceLanguage: languages[0], targetLanguage: languages[1] }
+                : apiDef.checkArgs || null
+        }));
+
+        const extension = {};
+        for (const [i, apiDef] of apis.entries()) {
+            const { api: apiObject } = getApiObject(apiDef);
+            extension[apiDef.key] = await checkAvailability(apiObject, checks[i].args || undefined);
+        }
+
+        const injections = await chrome.scripting.executeScript({
+            target: { tabId: tab.id, allFrames: true },
+            world: 'MAIN',
+            func: probePageAvailability,
+            args: [checks.map(({ key, policyFeature, args }) => ({ key, policyFeature, args }))]
+        });
+
+        const frames = injections
+            .filter(injection => injection.result)
+            .sort((a, b) => a.frameId - b.frameId)
+            .map(injection => ({ frameId: injection.frameId, ...injection.result }));
+
+        // Frames the injection never reached (other sites without host
+        // access, sandboxed or still loading) only show up here; null when
+        // webNavigation wasn't granted and they can't be listed
+        let unprobedFrames = null;
+        if (await chrome.permissions.contains({ permissions: FRAME_ACCESS.permissions })) {
+            const probed = new Set(frames.map(frame => frame.frameId));
+            const allFrames = await chrome.webNavigation.getAllFrames({ tabId: tab.id }) || [];
+            unprobedFrames = allFrames
+                .filter(frame => !probed.has(frame.frameId))
+                .sort((a, b) => a.frameId - b.frameId)
+                .map(({ frameId, url }) => ({ frameId, url }));
+        }
+
+        return { checks, extension, frames, unprobedFrames };
+    }
+
+    function renderPageCheck(pageCheck) {
+        const container = document.createElement('div');
+        for (const frame of pageCheck.frames) {
+            const title = document.createElement('div');
+            title.className = 'api-name benchmark-title';
+            title.textContent = frame.isTop ? 'Top frame' : `Frame ${frame.frameId}`;
+            container.appendChild(title);
+
+            const details = document.createElement('div');
+            details.className = 'api-details';
+            details.textContent = `${frame.url}${frame.isSecureContext ? '' : ' (insecure context)'}`;
+            container.appendChild(details);
+
+            const table = document.createElement('table');
+            table.className = 'report-table';
+            const headRow = table.insertRow();
+            for (const heading of ['API', 'Extension', 'Page']) {
+                const th = document.createElement('th');
+                th.textContent = heading;
+                headRow.appendChild(th);
+            }
 
-                            } catch (err) {
-                                console.error("Use case generation failed", err);
-                                useCaseOutput.textContent = "Error: " + err.message;
-                                useCaseOutput.style.display = 'block';
-                                useCaseBtn.textContent = 'Retry Use Cases';
-                                useCaseBtn.disabled = false;
-                            }
-                        };
+            for (const check of pageCheck.checks) {
+                const pageResult = frame.results[check.key];
+                const extensionStatus = pageCheck.extension[check.key];
+                const row = table.insertRow();
+                const reason = explainPageStatus(frame, pageResult, extensionStatus);
+                if (reason) row.className = 'diff';
 
-                        actions.appendChild(useCaseBtn);
-                        actions.appendChild(useCaseOutput);
-                    }
+                row.insertCell().textContent = check.name;
+                for (const status of [extensionStatus, pageResult.status]) {
+                    const statusBadge = document.createElement('span');
+                    statusBadge.className = `status-badge ${status}`;
+                    statusBadge.textContent = status;
+                    row.insertCell().appendChild(statusBadge);
+                }
 
-                } catch (err) {
-                    console.error("Summarization failed", err);
-                    summaryOutput.textContent = "Error: " + err.message;
-                    summaryOutput.style.display = 'block';
-                    btn.textContent = 'Retry';
-                    btn.disabled = false;
+                if (reason) {
+                    const reasonRow = table.insertRow();
+                    reasonRow.className = 'diff';
+                    const reasonCell = reasonRow.insertCell();
+                    reasonCell.colSpan = 3;
+                    reasonCell.textContent = reason;
                 }
+            }
+            container.appendChild(table);
+        }
+
+        if (pageCheck.unprobedFrames && pageCheck.unprobedFrames.length) {
+            const title = document.createElement('div');
+            title.className = 'api-name benchmark-title';
+            title.textContent = 'Not probed';
+            container.appendChild(title);
+
+            for (const frame of pageCheck.unprobedFrames) {
+                const details = document.createElement('div');
+                details.className = 'api-details';
+                details.textContent = `Frame ${frame.frameId}: ${frame.url || 'about:blank'}`;
+                container.appendChild(details);
+            }
+        }
+        return container;
+    }
+
+    document.getElementById('check-page').onclick = () => {
+        reportView.textContent = '';
+        reportStatus.textContent = 'Checking this page...';
+        // Without host access only the frames activeTab covers can be probed,
+        // and without webNavigation the rest can't be listed; the check runs
+        // either way. request() resolves at once when both are granted.
+        requestAccess(FRAME_ACCESS).then(async () => {
+            try {
+                await updateSiteAccess();
+                const pageCheck = await checkThisPage();
+                reportView.appendChild(renderPageCheck(pageCheck));
+                reportStatus.textContent = `Probed ${pageCheck.frames.length} frame(s) in the page's own context` +
+                    (pageCheck.unprobedFrames === null
+                        ? ', frames that could not be probed are only listed with site access granted.'
+                        : pageCheck.unprobedFrames.length ? `, ${pageCheck.unprobedFrames.length} could not be probed.` : '.') +
+                    (simulation.enabled ? ' The extension column shows simulated APIs.' : '');
+            } catch (err) {
+                console.error("Page check failed", err);
+                reportStatus.textContent = "Error: " + err.message;
+            }
+        });
+    };
+
+    const historyPanel = document.getElementById('history-panel');
+    const historySearch = document.getElementById('history-search');
+    const historyList = document.getElementById('history-list');
+    const historyView = document.getElementById('history-view');
+
+    const HISTORY_KIND_LABELS = {
+        summary: 'Summary',
+        'use-cases': 'Use cases',
+        suggestions: 'Suggestions'
+    };
+
+    function showHistoryEntry(entry) {
+        historyView.textContent = '';
+        const heading = document.createElement('div');
+        heading.className = 'api-details';
+        heading.textContent = `${HISTORY_KIND_LABELS[entry.kind] || entry.kind} of ${entry.url}`;
+        historyView.appendChild(heading);
+
+        if (Array.isArray(entry.result)) {
+            historyView.appendChild(renderUseCaseList(entry.result));
+        } else {
+            const text = document.createElement('div');
+            text.className = 'playground-output';
+            text.textContent = entry.result;
+            historyView.appendChild(text);
+        }
+    }
+
+    async function renderHistory() {
+        const history = await readHistory();
+        const size = historySize(history);
+        document.getElementById('history-size').textContent =
+            `${Object.keys(history).length} results, ${(size / 1024).toFixed(1)} of ${MAX_HISTORY_BYTES / 1024} KB`;
+        document.getElementById('history-meter').style.width = `${Math.min(100, (size / MAX_HISTORY_BYTES) * 100)}%`;
+
+        const query = historySearch.value.trim().toLowerCase();
+        const entries = Object.values(history)
+            .filter(entry => !query || [entry.title, entry.url, JSON.stringify(entry.result)].join(' ').toLowerCase().includes(query))
+            .sort((a, b) => b.lastUsed - a.lastUsed);
+
+        historyList.textContent = '';
+        for (const entry of entries) {
+            const row = document.createElement('div');
+            row.className = 'history-row';
+
+            const label = document.createElement('button');
+            label.className = 'history-title';
+            label.textContent = entry.title;
+            label.title = `${entry.url}\nCreated ${new Date(entry.createdAt).toLocaleString()}`;
+            label.onclick = () => showHistoryEntry(entry);
+
+            const kind = document.createElement('span');
+            kind.className = 'status-badge';
+            kind.textContent = HISTORY_KIND_LABELS[entry.kind] || entry.kind;
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'pair-download-btn';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.onclick = async () => {
+                await updateHistory((current) => {
+                    delete current[entry.key];
+                });
+                historyView.textContent = '';
             };
 
-            actions.appendChild(btn);
-            actions.appendChild(summaryOutput); // Append strictly inside actions for layout
-            card.appendChild(actions);
+            row.append(label, kind, deleteBtn);
+            historyList.appendChild(row);
+        }
+        if (!entries.length) historyList.textContent = query ? 'No matching results.' : 'Nothing cached yet.';
+    }
 
-            // Move summaryOutput outside actions if you want it full width, 
-            // but actions is flex row usually? 
-            // CSS for .actions says: display: flex; gap: 8px;
-            // We probably want the button and then the summary below it.
-            // Let's adjust styles dynamically or in CSS.
-            actions.style.flexDirection = 'column';
-        } else if (apiDef.key === 'languageModel' && (status === 'available' || status === 'readily')) {
-            const actions = document.createElement('div');
-            actions.className = 'actions';
+    historySearch.addEventListener('input', renderHistory);
+    historyPanel.addEventListener('toggle', () => {
+        if (historyPanel.open) renderHistory();
+    });
+    chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes.history && historyPanel.open) renderHistory();
+    });
 
-            const btn = document.createElement('button');
-            btn.className = 'download-btn'; // Re-use style
-            btn.textContent = 'Suggest Use Cases';
+    document.getElementById('history-export').onclick = async () => {
+        downloadJson(`ai-checker-history-${new Date().toISOString().slice(0, 10)}.json`, Object.values(await readHistory()));
+    };
 
-            const suggestionOutput = document.createElement('div');
-            suggestionOutput.className = 'suggestion-output';
-            suggestionOutput.style.marginTop = '10px';
-            suggestionOutput.style.fontSize = '0.9rem';
-            suggestionOutput.style.whiteSpace = 'pre-wrap';
-            suggestionOutput.style.padding = '8px';
-            suggestionOutput.style.background = '#f1f5f9';
-            suggestionOutput.style.borderRadius = '4px';
-            suggestionOutput.style.display = 'none';
+    document.getElementById('history-clear').onclick = async () => {
+        if (!confirm('Delete all cached results?')) return;
+        await updateHistory((history) => {
+            for (const key of Object.keys(history)) delete history[key];
+        });
+        historyView.textContent = '';
+    };
 
-            btn.onclick = async () => {
-                btn.disabled = true;
-                btn.textContent = 'Thinking...';
-                suggestionOutput.style.display = 'none';
-                suggestionOutput.textContent = '';
+    // Inputs are fixed and versioned so runs on different machines compare;
+    // bump BENCHMARK_CORPUS_VERSION whenever the corpus or tasks change.
+    const BENCHMARK_CORPUS_VERSION = 1;
+    const BENCHMARK_CORPUS = [
+        'The city council approved a new budget on Tuesday that increases funding for public transport by twelve percent. The plan adds three bus lines, extends tram service hours on weekends and introduces a discounted monthly pass for students and seniors. Critics argue that road maintenance was cut to pay for the changes, while supporters say the investment will reduce traffic and emissions over the next decade.',
+        'To reset your router, unplug it from the power outlet and wait at least thirty seconds. Plug it back in and wait until the status light turns solid green, which can take up to two minutes. If the light keeps blinking orange, hold the reset button on the back for ten seconds to restore the factory settings, then reconnect using the network name and password printed on the label.',
+        'Our quarterly survey shows customer satisfaction rose to 86 percent, driven mainly by faster delivery times and the redesigned mobile app. The most common complaints concern the returns process, which customers describe as slow and confusing, and the limited availability of live chat support outside business hours. The product team plans to address both issues before the holiday season.'
+    ];
+
+    // create() options and the call to time for each API. run() returns a
+    // stream or a promise of text; throughputOf says whether chars/s counts
+    // the output (generative APIs) or the input (the detector).
+    const BENCHMARK_TASKS = {
+        languageModel: {
+            options: {},
+            run: (instance, input, signal) => instance.promptStreaming(`Summarize this in one sentence:\n\n${input}`, { signal })
+        },
+        Translator: {
+            options: { sourceLanguage: 'en', targetLanguage: 'es' },
+            run: (instance, input, signal) => typeof instance.translateStreaming === 'function'
+                ? instance.translateStreaming(input, { signal })
+                : instance.translate(input, { signal })
+        },
+        LanguageDetector: {
+            options: {},
+            throughputOf: 'input',
+            run: async (instance, input, signal) => JSON.stringify(await instance.detect(input, { signal }))
+        },
+        Summarizer: {
+            options: { type: 'key-points', format: 'plain-text', length: 'short', outputLanguage: 'en' },
+            run: (instance, input, signal) => instance.summarizeStreaming(input, { signal })
+        },
+        Writer: {
+            options: { tone: 'neutral', format: 'plain-text', length: 'short' },
+            run: (instance, input, signal) => instance.writeStreaming('A short announcement for customers based on the context.', { context: input, signal })
+        },
+        Rewriter: {
+            options: { tone: 'more-formal', format: 'plain-text', length: 'as-is' },
+            run: (instance, input, signal) => instance.rewriteStreaming(input, { signal })
+        }
+    };
+
+    async function runBenchmarkSample(apiObject, task, input, signal) {
+        const start = performance.now();
+        const instance = await apiObject.create({ ...task.options, signal });
+        const created = performance.now();
+        try {
+            let firstChunkAt = null;
+            let output;
+            const result = task.run(instance, input, signal);
+            if (result && typeof result[Symbol.asyncIterator] === 'function') {
+                output = await consumeStream(result, () => {
+                    if (firstChunkAt === null) firstChunkAt = performance.now();
+                });
+            } else {
+                output = String(await result);
+            }
+            const done = performance.now();
+            if (firstChunkAt === null) firstChunkAt = done;
 
+            // Throughput covers generation only, not create()
+            const seconds = Math.max(0.001, (done - created) / 1000);
+            const measured = task.throughputOf === 'input' ? input : output;
+            let tokens = null;
+            if (typeof instance.measureInputUsage === 'function') {
                 try {
-                    const text = await getTabContent();
-                    if (!text) throw new Error("No text found on page");
+                    tokens = await instance.measureInputUsage(measured, { signal });
+                } catch (e) {
+                    console.warn('Measuring tokens failed', e);
+                }
+            }
+
+            return {
+                createMs: created - start,
+                firstChunkMs: firstChunkAt - created,
+                totalMs: done - start,
+                charsPerSecond: measured.length / seconds,
+                tokensPerSecond: tokens === null ? null : tokens / seconds
+            };
+        } finally {
+            instance.destroy();
+        }
+    }
 
-                    const suggestions = await suggestUseCases(text, apiObject);
+    // Nearest-rank percentile
+    function percentile(values, p) {
+        if (!values.length) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+    }
 
-                    suggestionOutput.textContent = suggestions;
-                    suggestionOutput.style.display = 'block';
-                    btn.textContent = 'Suggest Use Cases';
-                    btn.disabled = false;
-                } catch (err) {
-                    console.error("Suggestion failed", err);
-                    suggestionOutput.textContent = "Error: " + err.message;
-                    suggestionOutput.style.display = 'block';
-                    btn.textContent = 'Retry';
-                    btn.disabled = false;
+    const BENCHMARK_METRICS = [
+        ['createMs', 'create()', 'ms'],
+        ['firstChunkMs', 'First chunk', 'ms'],
+        ['totalMs', 'Total', 'ms'],
+        ['charsPerSecond', 'Chars/s', ''],
+        ['tokensPerSecond', 'Tokens/s', '']
+    ];
+
+    function summarizeSamples(samples) {
+        const summary = {};
+        for (const [metric] of BENCHMARK_METRICS) {
+            const values = samples.map(sample => sample[metric]).filter(value => value !== null);
+            summary[metric] = values.length ? {
+                p50: percentile(values, 50),
+                p90: percentile(values, 90),
+                mean: values.reduce((sum, value) => sum + value, 0) / values.length
+            } : null;
+        }
+        return summary;
+    }
+
+    async function runBenchmark(iterations, signal, onProgress) {
+        const run = {
+            generatedAt: new Date().toISOString(),
+            extensionVersion: chrome.runtime.getManifest().version,
+            corpusVersion: BENCHMARK_CORPUS_VERSION,
+            iterations,
+            browser: await getBrowserInfo(),
+            simulated: simulation.enabled,
+            results: []
+        };
+
+        for (const apiDef of apis) {
+            const task = BENCHMARK_TASKS[apiDef.key];
+            const { api: apiObject } = getApiObject(apiDef);
+            if (!task || !apiObject) continue;
+
+            const status = normalizeStatus(await checkAvailability(apiObject, apiDef.languagePairs ? task.options : apiDef.checkArgs));
+            if (status !== 'available') {
+                run.results.push({ key: apiDef.key, name: apiDef.name, skipped: `status ${status}` });
+                continue;
+            }
+
+            const samples = [];
+            const errors = [];
+            let attempts = 0;
+            for (let i = 0; i < iterations; i++) {
+                for (const input of BENCHMARK_CORPUS) {
+                    signal.throwIfAborted();
+                    attempts++;
+                    onProgress(`${apiDef.name}: run ${i + 1} of ${iterations}, input ${BENCHMARK_CORPUS.indexOf(input) + 1} of ${BENCHMARK_CORPUS.length}`);
+                    try {
+                        samples.push(await runBenchmarkSample(apiObject, task, input, signal));
+                    } catch (err) {
+                        if (isAbortError(err)) throw err;
+                        errors.push(err.message);
+                    }
+                }
+            }
+
+            run.results.push({
+                key: apiDef.key,
+                name: apiDef.name,
+                options: task.options,
+                attempts,
+                failures: errors.length,
+                errors: [...new Set(errors)],
+                summary: summarizeSamples(samples),
+                samples
+            });
+        }
+        return run;
+    }
+
+    function formatMetric(value) {
+        if (value === null || value === undefined) return '—';
+        return value >= 100 ? Math.round(value).toLocaleString() : value.toFixed(1);
+    }
+
+    function benchmarkToMarkdown(run) {
+        const lines = [
+            '## On-device AI benchmark',
+            '',
+            `Chrome ${run.browser.version || 'unknown'} (${run.browser.platform}), corpus v${run.corpusVersion}, ${run.iterations} iterations, ${run.generatedAt}`,
+            '',
+            '| API | Metric | p50 | p90 | Mean | Failures |',
+            '|---|---|---|---|---|---|'
+        ];
+        for (const result of run.results) {
+            if (result.skipped) {
+                lines.push(`| ${result.name} | skipped (${result.skipped}) | | | | |`);
+                continue;
+            }
+            for (const [metric, label, unit] of BENCHMARK_METRICS) {
+                const stats = result.summary[metric];
+                const suffix = unit ? ` ${unit}` : '';
+                lines.push(`| ${result.name} | ${label} | ${stats ? formatMetric(stats.p50) + suffix : '—'} | ${stats ? formatMetric(stats.p90) + suffix : '—'} | ${stats ? formatMetric(stats.mean) + suffix : '—'} | ${result.failures}/${result.attempts} |`);
+            }
+        }
+        return lines.join('\n');
+    }
+
+    function renderBenchmarkResults(run) {
+        const container = document.createElement('div');
+        for (const result of run.results) {
+            const title = document.createElement('div');
+            title.className = 'api-name benchmark-title';
+            title.textContent = result.name;
+            container.appendChild(title);
+
+            if (result.skipped) {
+                const note = document.createElement('div');
+                note.className = 'api-details';
+                note.textContent = `Skipped, ${result.skipped}`;
+                container.appendChild(note);
+                continue;
+            }
+
+            const table = document.createElement('table');
+            table.className = 'report-table';
+            const headRow = table.insertRow();
+            for (const heading of ['', 'p50', 'p90', 'mean']) {
+                const th = document.createElement('th');
+                th.textContent = heading;
+                headRow.appendChild(th);
+            }
+            for (const [metric, label, unit] of BENCHMARK_METRICS) {
+                const stats = result.summary[metric];
+                const row = table.insertRow();
+                row.insertCell().textContent = unit ? `${label} (${unit})` : label;
+                for (const key of ['p50', 'p90', 'mean']) {
+                    row.insertCell().textContent = stats ? formatMetric(stats[key]) : '—';
+                }
+            }
+            container.appendChild(table);
+
+            const failures = document.createElement('div');
+            failures.className = 'api-details';
+            failures.textContent = `Failures: ${result.failures} of ${result.attempts}` + (result.errors.length ? ` (${result.errors.join('; ')})` : '');
+            container.appendChild(failures);
+        }
+        return container;
+    }
+
+    const benchmarkRunBtn = document.getElementById('benchmark-run');
+    const benchmarkStatus = document.getElementById('benchmark-status');
+    const benchmarkResults = document.getElementById('benchmark-results');
+    const benchmarkStopBtn = createStopButton();
+    benchmarkRunBtn.after(benchmarkStopBtn);
+    let benchmarkController = null;
+    let lastBenchmark = null;
+    benchmarkStopBtn.onclick = () => benchmarkController && benchmarkController.abort();
+
+    benchmarkRunBtn.onclick = async () => {
+        const iterations = Math.max(1, Math.min(50, Number(document.getElementById('benchmark-iterations').value) || 1));
+        benchmarkRunBtn.disabled = true;
+        benchmarkStopBtn.style.display = 'block';
+        benchmarkResults.textContent = '';
+        document.getElementById('benchmark-export').disabled = true;
+        document.getElementById('benchmark-copy').disabled = true;
+        benchmarkController = new AbortController();
+
+        try {
+            lastBenchmark = await runBenchmark(iterations, benchmarkController.signal, (message) => {
+                benchmarkStatus.textContent = message;
+            });
+            benchmarkStatus.textContent = `Done, corpus v${BENCHMARK_CORPUS_VERSION}, ${iterations} iterations per input.`;
+            benchmarkResults.appendChild(renderBenchmarkResults(lastBenchmark));
+            document.getElementById('benchmark-export').disabled = false;
+            document.getElementById('benchmark-copy').disabled = false;
+        } catch (err) {
+            if (isAbortError(err)) {
+                benchmarkStatus.textContent = 'Stopped.';
+            } else {
+                console.error("Benchmark failed", err);
+                benchmarkStatus.textContent = "Error: " + err.message;
+            }
+        } finally {
+            benchmarkRunBtn.disabled = false;
+            benchmarkStopBtn.style.display = 'none';
+        }
+    };
+
+    document.getElementById('benchmark-export').onclick = () => {
+        if (lastBenchmark) downloadJson(`ai-benchmark-${lastBenchmark.generatedAt.slice(0, 10)}.json`, lastBenchmark);
+    };
+
+    document.getElementById('benchmark-copy').onclick = (e) => {
+        if (lastBenchmark) copyWithFeedback(e.target, benchmarkToMarkdown(lastBenchmark));
+    };
+
+    const simulationPanel = renderOptionsPanel(
+        Object.fromEntries(apis.map(api => [
+            api.key,
+            api.key === 'languageModel' ? [...SIMULATION_SCENARIOS, 'legacy-namespace'] : SIMULATION_SCENARIOS
+        ])),
+        [],
+        { ...DEFAULT_SIMULATION.apis, ...simulation.apis }
+    );
+    simulationPanel.element.querySelector('summary').textContent = 'Availability per API';
+    document.getElementById('simulation-apis').appendChild(simulationPanel.element);
+
+    const simulationInputs = {
+        delayMs: document.getElementById('simulation-delay'),
+        downloadMs: document.getElementById('simulation-download'),
+        failureRate: document.getElementById('simulation-failure'),
+        inputQuota: document.getElementById('simulation-quota')
+    };
+    document.getElementById('simulation-enabled').checked = simulation.enabled;
+    for (const [key, input] of Object.entries(simulationInputs)) {
+        input.value = simulation[key] !== undefined ? simulation[key] : DEFAULT_SIMULATION[key];
+    }
+
+    document.getElementById('simulation-apply').onclick = async () => {
+        const numbers = Object.fromEntries(Object.entries(simulationInputs).map(([key, input]) => {
+            const value = Number(input.value);
+            return [key, input.value !== '' && Number.isFinite(value) ? value : DEFAULT_SIMULATION[key]];
+        }));
+        await saveSetting('simulation', {
+            ...numbers,
+            enabled: document.getElementById('simulation-enabled').checked,
+            apis: simulationPanel.getValues()
+        });
+        // The real API objects can't be put back once replaced
+        window.location.reload();
+    };
+
+    const currentWindow = await chrome.windows.getCurrent();
+
+    const openSidePanelBtn = document.getElementById('open-side-panel');
+    openSidePanelBtn.hidden = isSidePanel || !chrome.sidePanel;
+    openSidePanelBtn.onclick = () => {
+        // open() needs the click's user gesture, so nothing may be awaited first
+        chrome.sidePanel.open({ windowId: currentWindow.id }).then(() => window.close(), (err) => {
+            console.error("Opening the side panel failed", err);
+            reportStatus.textContent = "Error: " + err.message;
+        });
+    };
+
+    const siteAccess = document.getElementById('site-access');
+
+    async function updateSiteAccess() {
+        siteAccess.hidden = !isSidePanel || await chrome.permissions.contains(ALL_SITES);
+    }
+
+    document.getElementById('site-access-grant').onclick = async () => {
+        try {
+            await chrome.permissions.request(ALL_SITES);
+        } catch (err) {
+            console.error("Permission request failed", err);
+        }
+        await updateSiteAccess();
+    };
+
+    // Renders can overlap when the side panel follows tab switches; only the
+    // latest one gets to replace the cards
+    let renderGeneration = 0;
+
+    async function renderApiList() {
+        const generation = ++renderGeneration;
+        const cards = [];
+        for (const api of apis) {
+            const card = await renderApiItem(api);
+            if (generation !== renderGeneration) return;
+            cards.push(card);
+        }
+        apiList.replaceChildren(...cards);
+    }
+
+    if (isSidePanel) {
+        updateSiteAccess();
+
+        // The side panel stays open while browsing, so the cards follow the
+        // active tab. Work already running in the old cards still finishes
+        // and lands in the history.
+        let refreshTimer = null;
+        const refreshForActiveTab = () => {
+            clearTimeout(refreshTimer);
+            refreshTimer = setTimeout(() => {
+                initialContent = null;
+                extractInfo.textContent = '';
+                renderApiList();
+            }, 300);
+        };
+        chrome.tabs.onActivated.addListener(({ windowId }) => {
+            if (windowId === currentWindow.id) refreshForActiveTab();
+        });
+        chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+            if (tab.active && tab.windowId === currentWindow.id && changeInfo.status === 'complete') refreshForActiveTab();
+        });
+    }
+
+    // Batch runs live in chrome.storage.session, so they survive the side
+    // panel closing and can be resumed. Each item is one tab; `state` is
+    // 'pending', 'running', 'done', 'failed' or 'closed'.
+    const batchPanel = document.getElementById('batch-panel');
+    const batchTabs = document.getElementById('batch-tabs');
+    const batchStatus = document.getElementById('batch-status');
+    const batchProgress = document.getElementById('batch-progress');
+    const batchDigest = document.getElementById('batch-digest');
+    const batchRunBtn = document.getElementById('batch-run');
+    const batchResumeBtn = document.getElementById('batch-resume');
+    const batchStopBtn = createStopButton();
+    batchResumeBtn.after(batchStopBtn);
+    let batchController = null;
+    let batch = null;
+
+    const BATCH_STATE_LABELS = {
+        pending: 'pending',
+        running: 'running',
+        done: 'done',
+        failed: 'failed',
+        closed: 'tab closed'
+    };
+
+    async function saveBatch() {
+        await chrome.storage.session.set({ batch });
+    }
+
+    function renderBatchProgress() {
+        batchProgress.textContent = '';
+        if (!batch) return;
+        for (const item of batch.items) {
+            const row = document.createElement('div');
+            row.className = 'batch-row';
+            const badge = document.createElement('span');
+            badge.className = `status-badge ${{ done: 'available', running: 'downloading', failed: 'unavailable', closed: 'unavailable' }[item.state] || ''}`;
+            badge.textContent = BATCH_STATE_LABELS[item.state];
+            const title = document.createElement('span');
+            title.className = 'batch-title';
+            title.textContent = item.title;
+            title.title = item.url;
+            row.append(badge, title);
+            batchProgress.appendChild(row);
+
+            const detail = item.state === 'running' ? item.step : item.error;
+            if (detail) {
+                const line = document.createElement('div');
+                line.className = item.error ? 'error-msg batch-error' : 'api-details';
+                line.textContent = detail;
+                batchProgress.appendChild(line);
+            }
+        }
+
+        const done = batch.items.filter(item => item.state === 'done').length;
+        const unfinished = batch.items.filter(item => item.state !== 'done').length;
+        batchStatus.textContent = `${done} of ${batch.items.length} tabs done` + (unfinished && !batchController ? `, ${unfinished} left to resume or retry.` : '.');
+        batchResumeBtn.hidden = Boolean(batchController) || !unfinished;
+        document.getElementById('batch-copy').disabled = !done;
+        document.getElementById('batch-export').disabled = !done;
+    }
+
+    async function renderBatchTabs() {
+        const tabs = await chrome.tabs.query({ windowId: currentWindow.id });
+        batchTabs.textContent = '';
+        for (const tab of tabs) {
+            if (!/^https?:/.test(tab.url || '')) continue;
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = tab.id;
+            const title = document.createElement('span');
+            title.className = 'batch-title';
+            title.textContent = tab.title || tab.url;
+            label.append(checkbox, title);
+            batchTabs.appendChild(label);
+        }
+        if (!batchTabs.childElementCount) batchTabs.textContent = 'No web pages open in this window.';
+    }
+
+    // Reloads discarded tabs and reopens closed ones, so a resumed batch can
+    // still read them
+    async function ensureBatchTab(item) {
+        let tab = null;
+        try {
+            tab = await chrome.tabs.get(item.tabId);
+        } catch (e) {
+            tab = await chrome.tabs.create({ url: item.url, windowId: currentWindow.id, active: false });
+            item.tabId = tab.id;
+        }
+        if (tab.discarded) await chrome.tabs.reload(tab.id);
+        if (tab.discarded || tab.status !== 'complete') await waitForTabLoad(tab.id);
+    }
+
+    function waitForTabLoad(tabId) {
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                chrome.tabs.onUpdated.removeListener(listener);
+                reject(new Error("The tab didn't finish loading"));
+            }, 30000);
+            const listener = (id, changeInfo) => {
+                if (id === tabId && changeInfo.status === 'complete') {
+                    clearTimeout(timeout);
+                    chrome.tabs.onUpdated.removeListener(listener);
+                    resolve();
                 }
             };
+            chrome.tabs.onUpdated.addListener(listener);
+            // It may have finished before the listener was added
+            chrome.tabs.get(tabId).then((tab) => {
+                if (tab.status === 'complete') listener(tabId, { status: 'complete' });
+            }, () => {});
+        });
+    }
 
-            actions.appendChild(btn);
-            actions.appendChild(suggestionOutput);
-            card.appendChild(actions);
-            actions.style.flexDirection = 'column';
+    async function tabExists(tabId) {
+        try {
+            await chrome.tabs.get(tabId);
+            return true;
+        } catch (e) {
+            return false;
         }
+    }
 
-        apiList.appendChild(card);
+    async function getReadyApi(key) {
+        const apiDef = apis.find(api => api.key === key);
+        const { api: apiObject } = getApiObject(apiDef);
+        const status = normalizeStatus(await checkAvailability(apiObject, apiDef.checkArgs));
+        if (status !== 'available') throw new Error(`${apiDef.name} is ${status}`);
+        return apiObject;
     }
 
-    // window.ai check removed as it is deprecated and might give false positives/negatives for specific new APIs
+    // Same cache entries as the Summarizer and Language Model cards, so
+    // finished tabs cost nothing when a batch is resumed or rerun
+    async function runBatchItem(item, onStep, signal) {
+        await ensureBatchTab(item);
+        onStep('Extracting...');
+        const { text } = await extractFromTab(item.tabId);
+        if (!text) throw new Error("No text found on page");
+
+        if (batch.tasks.summary) {
+            const summarizerOptions = await loadSetting('summarizerOptions', DEFAULT_SUMMARIZER_OPTIONS);
+            const key = await cacheKey('summary', item.url, text, summarizerOptions);
+            const cached = await getCachedResult(key);
+            if (cached) {
+                item.summary = cached.result;
+            } else {
+                item.summary = await runSummarization(text, await getReadyApi('Summarizer'), {
+                    summarizerOptions,
+                    signal,
+                    onProgress: (progress) => onStep(describeSummaryProgress(progress))
+                });
+                await storeResult(key, { kind: 'summary', url: item.url, title: item.title, options: summarizerOptions, result: item.summary });
+            }
+        }
+
+        if (batch.tasks.useCases) {
+            const key = await cacheKey('suggestions', item.url, text);
+            const cached = await getCachedResult(key);
+            if (cached) {
+                item.useCases = cached.result;
+            } else {
+                onStep('Suggesting use cases...');
+                item.useCases = await suggestUseCases(text, await getReadyApi('languageModel'), {
+                    signal,
+                    onProgress: ({ chunk, chunks, pass }) => onStep(`Use cases: reading chunk ${chunk} of ${chunks}, pass ${pass}...`)
+                });
+                await storeResult(key, { kind: 'suggestions', url: item.url, title: item.title, result: item.useCases });
+            }
+        }
+    }
+
+    function batchPagesToMarkdown(items) {
+        return items.map((item, i) => {
+            const parts = [`## ${i + 1}. ${item.title}`, item.url];
+            if (item.summary) parts.push('', item.summary);
+            if (item.useCases) parts.push('', 'Use cases: ' + item.useCases.map(useCase => `${useCase.title} (${getApiName(useCase.api)})`).join('; '));
+            return parts.join('\n');
+        }).join('\n\n');
+    }
+
+    // Condenses the per-tab results into one digest, with the Prompt API
+    // when it's ready and the Summarizer otherwise
+    async function writeBatchDigest(items, signal, onUpdate) {
+        const pages = batchPagesToMarkdown(items);
+        const digestPrompt = 'Write a digest of the following web pages in markdown: the themes they share, how they differ, and which page is most useful for what. Refer to pages by their title.';
+
+        let languageModel = null;
+        try {
+            languageModel = await getReadyApi('languageModel');
+        } catch (e) {
+            const summarizerOptions = await loadSetting('summarizerOptions', DEFAULT_SUMMARIZER_OPTIONS);
+            return runSummarization(pages, await getReadyApi('Summarizer'), { summarizerOptions, signal, onUpdate });
+        }
+
+        const initialPrompts = [{ role: 'system', content: 'You compare web pages for a reader who has not seen them.' }];
+        const session = await languageModel.create({ initialPrompts, signal });
+        try {
+            const countTokens = createTokenCounter(session, signal);
+            const budget = Math.floor(getInputBudget(session, 1000) * 0.75);
+            let material = pages;
+            let previousLength = Infinity;
+            for (let pass = 1; await countTokens(material) > budget; pass++) {
+                // Never drop pages from the digest; say so when the notes stop shrinking
+                if (pass > MAX_SUMMARY_PASSES || material.length >= previousLength * 0.9) {
+                    throw new Error(`The pages are too long for one digest, the notes stopped shrinking after pass ${pass - 1}. Try fewer tabs or summaries only.`);
+                }
+                previousLength = material.length;
+                const chunks = await chunkByQuota(material, countTokens, budget, 0);
+                const condensed = [];
+                for (const chunk of chunks) {
+                    const branch = typeof session.clone === 'function'
+                        ? await session.clone({ signal })
+                        : await languageModel.create({ initialPrompts, signal });
+                    try {
+                        condensed.push(await branch.prompt(`Shorten these notes on web pages, keeping each page's title and main points:\n\n${chunk}`, { signal }));
+                    } finally {
+                        branch.destroy();
+                    }
+                }
+                material = condensed.join('\n\n');
+            }
+            return await consumeStream(session.promptStreaming(`${digestPrompt}\n\n${material}`, { signal }), onUpdate);
+        } finally {
+            session.destroy();
+        }
+    }
+
+    // Which APIs each tab's use cases rely on, side by side
+    function renderBatchComparison(items) {
+        const withUseCases = items.filter(item => item.useCases);
+        if (!withUseCases.length) return null;
+
+        const table = document.createElement('table');
+        table.className = 'report-table';
+        const usedApis = apis.filter(api => withUseCases.some(item => item.useCases.some(useCase => useCase.api === api.key)));
+        const headRow = table.insertRow();
+        for (const heading of ['Page', ...usedApis.map(api => api.name)]) {
+            const th = document.createElement('th');
+            th.textContent = heading;
+            headRow.appendChild(th);
+        }
+        for (const item of withUseCases) {
+            const row = table.insertRow();
+            row.insertCell().textContent = item.title;
+            for (const api of usedApis) {
+                const count = item.useCases.filter(useCase => useCase.api === api.key).length;
+                row.insertCell().textContent = count ? String(count) : '—';
+            }
+        }
+        return table;
+    }
+
+    function renderBatchDigest() {
+        batchDigest.textContent = '';
+        if (!batch || !batch.digest) return;
+        const digest = document.createElement('div');
+        digest.className = 'summary-output playground-output';
+        digest.textContent = batch.digest;
+        batchDigest.appendChild(digest);
+        const comparison = renderBatchComparison(batch.items.filter(item => item.state === 'done'));
+        if (comparison) batchDigest.appendChild(comparison);
+    }
+
+    function batchToMarkdown() {
+        const done = batch.items.filter(item => item.state === 'done');
+        const missing = batch.items.filter(item => item.state !== 'done');
+        const lines = ['# Cross-tab digest', '', batch.digest || '_No digest written._', '', batchPagesToMarkdown(done)];
+        if (missing.length) {
+            lines.push('', '## Not analyzed', '', ...missing.map(item => `- ${item.title} (${item.url}): ${BATCH_STATE_LABELS[item.state]}${item.error ? `, ${item.error}` : ''}`));
+        }
+        return lines.join('\n');
+    }
+
+    async function runBatch() {
+        batchController = new AbortController();
+        const signal = batchController.signal;
+        let outcome = '';
+        batchRunBtn.disabled = true;
+        batchStopBtn.style.display = 'block';
+        batch.digest = null;
+        renderBatchDigest();
+        renderBatchProgress();
+
+        try {
+            for (const item of batch.items) {
+                if (item.state === 'done') continue;
+                signal.throwIfAborted();
+                item.state = 'running';
+                item.error = null;
+                item.step = '';
+                await saveBatch();
+                renderBatchProgress();
+
+                try {
+                    await runBatchItem(item, (step) => {
+                        item.step = step;
+                        renderBatchProgress();
+                    }, signal);
+                    item.state = 'done';
+                } catch (err) {
+                    if (isAbortError(err)) {
+                        item.state = 'pending';
+                        throw err;
+                    }
+                    console.error(`Batch item ${item.url} failed`, err);
+                    item.state = await tabExists(item.tabId) ? 'failed' : 'closed';
+                    item.error = err.message;
+                }
+                item.step = '';
+                await saveBatch();
+                renderBatchProgress();
+            }
+
+            const done = batch.items.filter(item => item.state === 'done');
+            if (done.length) {
+                batchStatus.textContent = 'Writing the cross-tab digest...';
+                batch.digest = await writeBatchDigest(done, signal, (partial) => {
+                    batch.digest = partial;
+                    renderBatchDigest();
+                });
+                await saveBatch();
+                renderBatchDigest();
+            }
+        } catch (err) {
+            outcome = isAbortError(err) ? 'Stopped.' : `Error: ${err.message}`;
+            if (!isAbortError(err)) console.error("Batch failed", err);
+            await saveBatch();
+        } finally {
+            batchController = null;
+            batchRunBtn.disabled = false;
+            batchStopBtn.style.display = 'none';
+            renderBatchProgress();
+            if (outcome) batchStatus.textContent += ` ${outcome}`;
+        }
+    }
+
+    batchStopBtn.onclick = () => batchController && batchController.abort();
 
-    for (const api of apis) {
-        await renderApiItem(api);
+    batchRunBtn.onclick = async () => {
+        const selected = [...batchTabs.querySelectorAll('input:checked')].map(input => Number(input.value));
+        const tasks = {
+            summary: document.getElementById('batch-summaries').checked,
+            useCases: document.getElementById('batch-use-cases').checked
+        };
+        if (!selected.length || (!tasks.summary && !tasks.useCases)) {
+            batchStatus.textContent = 'Select at least one tab and one task.';
+            return;
+        }
+
+        // Reading tabs other than the one the panel opened on needs host access
+        if (!await requestAccess(ALL_SITES)) {
+            batchStatus.textContent = 'Site access is needed to read the selected tabs.';
+            return;
+        }
+        await updateSiteAccess();
+
+        const items = [];
+        for (const tabId of selected) {
+            const tab = await chrome.tabs.get(tabId).catch(() => null);
+            if (tab) items.push({ tabId, url: tab.url, title: tab.title || tab.url, state: 'pending', step: '', error: null });
+        }
+        batch = { createdAt: Date.now(), tasks, items, digest: null };
+        await runBatch();
+    };
+
+    // Resuming retries failed and closed tabs too; closed ones are reopened
+    batchResumeBtn.onclick = () => {
+        for (const item of batch.items) {
+            if (item.state !== 'done') item.state = 'pending';
+        }
+        runBatch();
+    };
+
+    document.getElementById('batch-select-all').onclick = () => {
+        const boxes = [...batchTabs.querySelectorAll('input')];
+        const check = boxes.some(box => !box.checked);
+        for (const box of boxes) box.checked = check;
+    };
+    document.getElementById('batch-refresh').onclick = renderBatchTabs;
+
+    document.getElementById('batch-copy').onclick = (e) => {
+        if (batch) copyWithFeedback(e.target, batchToMarkdown());
+    };
+
+    document.getElementById('batch-export').onclick = () => {
+        if (batch) downloadJson(`ai-batch-${new Date(batch.createdAt).toISOString().slice(0, 10)}.json`, batch);
+    };
+
+    if (isSidePanel) {
+        batchPanel.hidden = false;
+        renderBatchTabs();
+        ({ batch } = await chrome.storage.session.get('batch'));
+        if (batch) {
+            // A run that was interrupted by closing the panel
+            for (const item of batch.items) {
+                if (item.state === 'running') item.state = 'pending';
+            }
+            renderBatchProgress();
+            renderBatchDigest();
+        }
     }
+
+    // window.ai check removed as it is deprecated and might give false positives/negatives for specific new APIs
+
+    await renderApiList();
 });
@@ -0,0 +1,316 @@
+// Scripted stand-ins for the built-in AI APIs, so the popup can be previewed
+// against statuses and API shapes the current Chrome doesn't produce. Loaded
+// before popup.js, which calls installSimulation() when the developer toggle
+// is on. Only the popup sees the fakes; the context menus and background
+// downloads keep using the real APIs.
+
+// What availability() reports, or how the API is exposed, per scenario:
+// - the current and legacy status strings are returned as-is
+// - 'throws' makes availability() reject
+// - 'legacy-object' returns the old { available } object from availability()
+// - 'capabilities' only has the even older capabilities() method
+// - 'legacy-namespace' exposes the Prompt API as window.ai.languageModel
+// - 'missing' removes the API altogether
+const SIMULATION_SCENARIOS = ['available', 'downloadable', 'downloading', 'unavailable', 'readily', 'after-download', 'no', 'throws', 'legacy-object', 'capabilities', 'missing'];
+
+const DEFAULT_SIMULATION = {
+    enabled: false,
+    delayMs: 40,
+    downloadMs: 3000,
+    failureRate: 0,
+    inputQuota: 4000,
+    apis: {
+        languageModel: 'available',
+        Translator: 'available',
+        LanguageDetector: 'available',
+        Summarizer: 'available',
+        Writer: 'available',
+        Rewriter: 'available'
+    }
+};
+
+function installSimulation(config) {
+    const settings = { ...DEFAULT_SIMULATION, ...config, apis: { ...DEFAULT_SIMULATION.apis, ...config.apis } };
+
+    function wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) return reject(signal.reason);
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(signal.reason);
+                }, { once: true });
+            }
+        });
+    }
+
+    async function step(signal) {
+        await wait(settings.delayMs, signal);
+        if (Math.random() < settings.failureRate) {
+            throw new DOMException('Simulated failure', 'OperationError');
+        }
+    }
+
+    function countTokens(text) {
+        return Math.ceil(String(text).length / 4);
+    }
+
+    // Emits the text a few words at a time, as deltas like current Chrome
+    function streamText(produce, signal) {
+        return new ReadableStream({
+            async start(controller) {
+                try {
+                    const words = (await produce()).split(/(?<=\s)/);
+                    for (let i = 0; i < words.length; i += 3) {
+                        await step(signal);
+                        controller.enqueue(words.slice(i, i + 3).join(''));
+                    }
+                    controller.close();
+                } catch (err) {
+                    controller.error(err);
+                }
+            }
+        });
+    }
+
+    // Fills in a JSON schema with placeholder values, cycling through enums
+    function sampleFromSchema(schema, index = 0) {
+        if (schema.enum) return schema.enum[index % schema.enum.length];
+        switch (schema.type) {
+            case 'object':
+                return Object.fromEntries(Object.entries(schema.properties || {}).map(([key, value]) => [key, sampleFromSchema(value, index)]));
+            case 'array':
+                return Array.from({ length: schema.minItems || 1 }, (_, i) => sampleFromSchema(schema.items || {}, i));
+            case 'number':
+            case 'integer':
+                return index + 1;
+            case 'boolean':
+                return index % 2 === 0;
+            default:
+                return `Simulated value ${index + 1}`;
+        }
+    }
+
+    function firstSentences(text, share) {
+        const sentences = String(text).split(/(?<=[.!?])\s+/).filter(Boolean);
+        const count = Math.max(1, Math.floor(sentences.length * share));
+        return sentences.slice(0, count);
+    }
+
+    const STATUS_AFTER_DOWNLOAD = { downloadable: 'available', downloading: 'available', 'after-download': 'readily' };
+
+    // Builds one fake API object around methods.createInstance, which turns
+    // the create() options into an instance. Statuses that need a download
+    // become ready once create() has run its synthetic download.
+    function createFakeApi(key, methods) {
+        const scenario = settings.apis[key];
+        // Downloads are remembered per availability() argument set, so
+        // translator pairs download separately
+        const downloaded = new Set();
+        const argsKey = (options = {}) => JSON.stringify({ sourceLanguage: options.sourceLanguage, targetLanguage: options.targetLanguage });
+
+        function currentStatus(options) {
+            if (downloaded.has(argsKey(options))) return STATUS_AFTER_DOWNLOAD[scenario];
+            return scenario;
+        }
+
+        async function simulateDownload(options) {
+            const status = currentStatus(options);
+            if (!STATUS_AFTER_DOWNLOAD[status]) return;
+
+            const monitor = new EventTarget();
+            if (options.monitor) options.monitor(monitor);
+            const start = status === 'downloading' ? 0.5 : 0;
+            for (let i = 0; i <= 10; i++) {
+                const loaded = start + ((1 - start) * i) / 10;
+                await wait(settings.downloadMs / 10, options.signal);
+                monitor.dispatchEvent(Object.assign(new Event('downloadprogress'), { loaded, total: 1 }));
+            }
+            downloaded.add(argsKey(options));
+        }
+
+        const api = {
+            async create(options = {}) {
+                const status = currentStatus(options);
+                if (['unavailable', 'no', 'throws'].includes(status)) {
+                    throw new DOMException(`Simulated ${key} is ${status}`, 'NotSupportedError');
+                }
+                await simulateDownload(options);
+                await step(options.signal);
+                return methods.createInstance(options);
+            }
+        };
+
+        if (scenario === 'capabilities' || scenario === 'legacy-namespace') {
+            api.capabilities = async () => ({ available: 'readily' });
+        } else if (scenario === 'legacy-object') {
+            api.availability = async () => ({ available: 'readily' });
+        } else {
+            api.availability = async (options) => {
+                await wait(settings.delayMs);
+                if (scenario === 'throws') throw new DOMException(`Simulated ${key} availability() failure`, 'UnknownError');
+                return currentStatus(options);
+            };
+        }
+        return Object.assign(api, methods.statics || {});
+    }
+
+    function baseInstance(options) {
+        const instance = new EventTarget();
+        instance.inputQuota = settings.inputQuota;
+        instance.inputUsage = 0;
+        instance.destroyed = false;
+        instance.measureInputUsage = async (text, callOptions = {}) => {
+            await wait(settings.delayMs, callOptions.signal);
+            return countTokens(text);
+        };
+        instance.destroy = () => {
+            instance.destroyed = true;
+        };
+        return Object.assign(instance, options);
+    }
+
+    const fakes = {
+        languageModel: createFakeApi('languageModel', {
+            statics: {
+                params: async () => ({ defaultTopK: 3, maxTopK: 8, defaultTemperature: 1, maxTemperature: 2 })
+            },
+            createInstance(options) {
+                const session = baseInstance({ temperature: options.temperature || 1, topK: options.topK || 3 });
+
+                function track(text) {
+                    session.inputUsage += countTokens(text);
+                    if (session.inputUsage > session.inputQuota) {
+                        // Like Chrome, drop the oldest turns and say so
+                        session.inputUsage = Math.floor(session.inputQuota / 2);
+                        session.dispatchEvent(new Event('contextoverflow'));
+                    }
+                }
+
+                function answer(input, callOptions = {}) {
+                    const prompt = typeof input === 'string' ? input : JSON.stringify(input);
+                    track(prompt);
+                    const output = callOptions.responseConstraint
+                        ? JSON.stringify(sampleFromSchema(callOptions.responseConstraint))
+                        : `Simulated answer to: "${prompt.slice(0, 80).replace(/\s+/g, ' ')}"`;
+                    track(output);
+                    return output;
+                }
+
+                for (const prompt of options.initialPrompts || []) track(prompt.content);
+
+                session.prompt = async (input, callOptions = {}) => {
+                    await step(callOptions.signal);
+                    return answer(input, callOptions);
+                };
+                session.promptStreaming = (input, callOptions = {}) => streamText(async () => answer(input, callOptions), callOptions.signal);
+                session.clone = async (callOptions = {}) => {
+                    const copy = await fakes.languageModel.create({ ...options, signal: callOptions.signal, initialPrompts: [] });
+                    copy.inputUsage = session.inputUsage;
+                    return copy;
+                };
+                return session;
+            }
+        }),
+
+        Translator: createFakeApi('Translator', {
+            createInstance(options) {
+                const translator = baseInstance({ sourceLanguage: options.sourceLanguage, targetLanguage: options.targetLanguage });
+                const translate = (text) => `[${options.targetLanguage}] ${text}`;
+                translator.translate = async (text, callOptions = {}) => {
+                    await step(callOptions.signal);
+                    return translate(text);
+                };
+                translator.translateStreaming = (text, callOptions = {}) => streamText(async () => translate(text), callOptions.signal);
+                return translator;
+            }
+        }),
+
+        LanguageDetector: createFakeApi('LanguageDetector', {
+            createInstance() {
+                const detector = baseInstance({});
+                detector.detect = async (text, callOptions = {}) => {
+                    await step(callOptions.signal);
+                    let detectedLanguage = 'en';
+                    if (/[\u3040-\u30ff]/.test(text)) detectedLanguage = 'ja';
+                    else if (/[ñ¿¡]/i.test(text)) detectedLanguage = 'es';
+                    else if (/[äöüß]/i.test(text)) detectedLanguage = 'de';
+                    return [{ detectedLanguage, confidence: 0.92 }, { detectedLanguage: 'und', confidence: 0.08 }];
+                };
+                return detector;
+            }
+        }),
+
+        Summarizer: createFakeApi('Summarizer', {
+            createInstance(options) {
+                const summarizer = baseInstance({
+                    type: options.type || 'key-points',
+                    format: options.format || 'markdown',
+                    length: options.length || 'medium'
+                });
+                // Keeps a quarter of the sentences, so recursive passes shrink
+                const summarize = (text) => {
+                    const sentences = firstSentences(text, 0.25);
+                    if (summarizer.type === 'headline') return sentences[0];
+                    if (summarizer.type !== 'key-points') return sentences.join(' ');
+                    const bullet = summarizer.format === 'markdown' ? '- ' : '';
+                    return sentences.map(sentence => bullet + sentence).join('\n');
+                };
+                summarizer.summarize = async (text, callOptions = {}) => {
+                    await step(callOptions.signal);
+                    return summarize(text);
+                };
+                summarizer.summarizeStreaming = (text, callOptions = {}) => streamText(async () => summarize(text), callOptions.signal);
+                return summarizer;
+            }
+        }),
+
+        Writer: createFakeApi('Writer', {
+            createInstance(options) {
+                const writer = baseInstance({ tone: options.tone || 'neutral', length: options.length || 'medium' });
+                const write = (input) => `Simulated ${writer.tone}, ${writer.length} text for: ${input}`;
+                writer.write = async (input, callOptions = {}) => {
+                    await step(callOptions.signal);
+                    return write(input);
+                };
+                writer.writeStreaming = (input, callOptions = {}) => streamText(async () => write(input), callOptions.signal);
+                return writer;
+            }
+        }),
+
+        Rewriter: createFakeApi('Rewriter', {
+            createInstance(options) {
+                const rewriter = baseInstance({ tone: options.tone || 'as-is', length: options.length || 'as-is' });
+                const rewrite = (input) => {
+                    let text = rewriter.length === 'shorter' ? firstSentences(input, 0.5).join(' ') : input;
+                    if (rewriter.length === 'longer') text += ' ' + text;
+                    return rewriter.tone === 'as-is' ? text : `(${rewriter.tone}) ${text}`;
+                };
+                rewriter.rewrite = async (input, callOptions = {}) => {
+                    await step(callOptions.signal);
+                    return rewrite(input);
+                };
+                rewriter.rewriteStreaming = (input, callOptions = {}) => streamText(async () => rewrite(input), callOptions.signal);
+                return rewriter;
+            }
+        })
+    };
+
+    function expose(name, value) {
+        Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+    }
+
+    for (const [key, fake] of Object.entries(fakes)) {
+        const scenario = settings.apis[key];
+        const globalName = key === 'languageModel' ? 'LanguageModel' : key;
+        if (scenario === 'missing') {
+            expose(globalName, undefined);
+        } else if (key === 'languageModel' && scenario === 'legacy-namespace') {
+            expose(globalName, undefined);
+            expose('ai', { languageModel: fake });
+        } else {
+            expose(globalName, fake);
+        }
+    }
+}
@@ -0,0 +1,192 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPopup, getCards, waitFor, SIMULATION_SCENARIOS } = require('./harness');
+
+const API_KEYS = {
+    'Language Model (Gemini Nano)': 'languageModel',
+    Translator: 'Translator',
+    'Language Detector': 'LanguageDetector',
+    Summarizer: 'Summarizer',
+    Writer: 'Writer',
+    Rewriter: 'Rewriter'
+};
+
+// What the badge reads for each scenario, and its tooltip when a legacy
+// value was normalized
+const EXPECTED_BADGES = {
+    available: { status: 'available' },
+    downloadable: { status: 'downloadable' },
+    downloading: { status: 'downloading' },
+    unavailable: { status: 'unavailable' },
+    readily: { status: 'available', reported: 'readily' },
+    'after-download': { status: 'downloadable', reported: 'after-download' },
+    no: { status: 'unavailable', reported: 'no' },
+    throws: { status: 'error' },
+    'legacy-object': { status: 'available', reported: 'readily' },
+    capabilities: { status: 'available_unknown_methods' },
+    missing: { status: 'unavailable' }
+};
+
+function allApis(scenario) {
+    return Object.fromEntries(Object.values(API_KEYS).map(key => [key, scenario]));
+}
+
+function buttonLabels(card) {
+    return [...card.querySelectorAll('button')].filter(isShown).map(button => button.textContent);
+}
+
+function isShown(el) {
+    for (let node = el; node; node = node.parentElement) {
+        if (node.hidden || node.style.display === 'none') return false;
+    }
+    return true;
+}
+
+// The actions renderApiItem adds for a normalized status, per card
+function assertActions(name, card, status) {
+    const key = API_KEYS[name];
+    const labels = buttonLabels(card);
+    const troubleshooter = card.querySelector('.troubleshoot-panel');
+
+    // Pairs are checked one by one and the matrix shows them all, as long
+    // as there is an API to check them with
+    if (key === 'Translator' && card.querySelector('.pair-matrix')) {
+        const getButtons = labels.filter(label => label === 'Get').length;
+        const translateShown = labels.includes('Translate Page');
+        if (status === 'available') {
+            assert.equal(getButtons, 0, `${name}: no downloads offered`);
+            assert.ok(translateShown, `${name}: Translate Page offered`);
+        } else if (status === 'downloadable' || status === 'downloading') {
+            // Translate Page downloads the pair it needs on the way
+            assert.equal(getButtons, 20, `${name}: one Get button per pair`);
+            assert.ok(translateShown, `${name}: Translate Page offered`);
+        } else {
+            assert.equal(getButtons, 0, `${name}: no downloads offered`);
+            assert.ok(!translateShown, `${name}: Translate Page hidden without a usable pair`);
+        }
+        assert.equal(Boolean(troubleshooter), !['available', 'downloadable', 'downloading'].includes(status), `${name}: troubleshooter`);
+        return;
+    }
+
+    if (status === 'available') {
+        assert.ok(!troubleshooter, `${name}: no troubleshooter`);
+        assert.ok(!labels.includes('Download Model'), `${name}: no download`);
+        if (key === 'Summarizer') assert.ok(labels.includes('Summarize Page'), `${name}: Summarize Page`);
+        if (key === 'Writer') assert.ok(labels.includes('Write'), `${name}: playground`);
+        if (key === 'Rewriter') assert.ok(labels.includes('Rewrite'), `${name}: playground`);
+        if (key === 'languageModel') {
+            assert.ok(labels.includes('Suggest Use Cases'), `${name}: Suggest Use Cases`);
+            assert.ok(card.querySelector('.chat-panel'), `${name}: chat panel`);
+        }
+        if (key === 'LanguageDetector') assert.ok(!card.querySelector('.actions'), `${name}: no actions`);
+    } else if (status === 'downloadable' || status === 'downloading') {
+        assert.ok(!troubleshooter, `${name}: no troubleshooter`);
+        assert.ok(labels.includes('Download Model'), `${name}: Download Model`);
+        assert.ok(!card.querySelector('.playground-input, .chat-panel, .summary-output'), `${name}: nothing that needs the model`);
+    } else {
+        assert.ok(troubleshooter, `${name}: troubleshooter`);
+        assert.ok(!card.querySelector('.actions'), `${name}: no actions`);
+    }
+}
+
+for (const scenario of SIMULATION_SCENARIOS) {
+    test(`every card matches the '${scenario}' scenario`, async () => {
+        const expected = EXPECTED_BADGES[scenario];
+        assert.ok(expected, `no expectation for '${scenario}'`);
+        const popup = await loadPopup({ simulation: { apis: allApis(scenario) } });
+        try {
+            const cards = getCards(popup.document);
+            assert.deepEqual(Object.keys(cards), Object.keys(API_KEYS));
+
+            for (const [name, card] of Object.entries(cards)) {
+                const badge = card.querySelector('.api-header .status-badge');
+                assert.equal(badge.textContent, expected.status, `${name}: badge`);
+                assert.ok(badge.classList.contains(expected.status), `${name}: badge class`);
+                // Translator badges summarize pairs, which are normalized one by one
+                if (expected.reported && name !== 'Translator') {
+                    assert.equal(badge.title, `Reported as '${expected.reported}'`, `${name}: badge tooltip`);
+                }
+
+                const details = card.querySelector('.api-details').textContent;
+                if (scenario === 'missing') {
+                    assert.equal(details, 'Not found', `${name}: path`);
+                    assert.ok(!card.querySelector('.pair-matrix'), `${name}: no pair matrix`);
+                    assert.ok(!buttonLabels(card).includes('Copy code'), `${name}: no snippet without an API`);
+                } else {
+                    assert.ok(buttonLabels(card).includes('Copy code'), `${name}: snippet`);
+                }
+
+                assertActions(name, card, expected.status);
+            }
+            assert.deepEqual(popup.errors.map(([label]) => label), [], 'nothing failed while rendering');
+        } finally {
+            popup.close();
+        }
+    });
+}
+
+test('the popup starts up once', async () => {
+    const popup = await loadPopup();
+    try {
+        // Let anything queued behind the first render run
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(popup.startup.runs, 1);
+        assert.equal(popup.startup.simulations, 1);
+        assert.equal(popup.document.querySelectorAll('#api-list .api-card').length, Object.keys(API_KEYS).length);
+    } finally {
+        popup.close();
+    }
+});
+
+test('the deprecated window.ai namespace is found and troubleshot', async () => {
+    const popup = await loadPopup({ simulation: { apis: { languageModel: 'legacy-namespace' } } });
+    try {
+        const card = getCards(popup.document)['Language Model (Gemini Nano)'];
+        assert.equal(card.querySelector('.api-details').textContent, 'window.ai.languageModel (Deprecated)');
+        assert.equal(card.querySelector('.status-badge').textContent, 'available_unknown_methods');
+        assert.ok(card.querySelector('.troubleshoot-panel'));
+    } finally {
+        popup.close();
+    }
+});
+
+test('a finished download re-renders the card as available', async () => {
+    const popup = await loadPopup({ simulation: { apis: { Summarizer: 'downloadable' } } });
+    try {
+        const card = getCards(popup.document).Summarizer;
+        const button = [...card.querySelectorAll('button')].find(b => b.textContent === 'Download Model');
+        button.click();
+
+        const rendered = await waitFor(() => {
+            const current = getCards(popup.document).Summarizer;
+            return current !== card && current;
+        });
+        assert.equal(rendered.querySelector('.status-badge').textContent, 'available');
+        assert.ok(buttonLabels(rendered).includes('Summarize Page'));
+    } finally {
+        popup.close();
+    }
+});
+
+test('the Translator snippet uses the pair picked for Translate Page', async () => {
+    const popup = await loadPopup({ simulation: { apis: { Translator: 'available' } } });
+    try {
+        const copied = [];
+        popup.window.navigator.clipboard.writeText = async (text) => { copied.push(text); };
+
+        const card = getCards(popup.document).Translator;
+        const [sourceSelect, targetSelect] = card.querySelectorAll('.actions select');
+        sourceSelect.value = 'de';
+        targetSelect.value = 'fr';
+        // The harness swaps window.Event for Node's, which jsdom won't dispatch
+        const change = popup.document.createEvent('Event');
+        change.initEvent('change');
+        targetSelect.dispatchEvent(change);
+
+        [...card.querySelectorAll('button')].find(b => b.textContent === 'Copy code').click();
+        await waitFor(() => copied.length);
+        assert.match(copied[0], /sourceLanguage: 'de',\n\s*targetLanguage: 'fr'/);
+    } finally {
+        popup.close();
+    }
+});
@@ -0,0 +1,157 @@
+// Loads popup.html and popup.js into jsdom against an in-memory stand-in for
+// the chrome.* APIs, with the built-in AI APIs replaced by simulation.js.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const read = (file) => fs.readFileSync(path.join(ROOT, file), 'utf8');
+
+// The scenario list, read without a DOM so tests can be generated from it
+const SIMULATION_SCENARIOS = vm.runInNewContext(`${read('simulation.js')}\n[...SIMULATION_SCENARIOS].join(',')`).split(',');
+
+const PAGE_TEXT = 'Chrome ships built-in AI APIs. They run on the device. This page is about them.';
+
+function createEvent() {
+    const listeners = new Set();
+    return {
+        addListener: (listener) => listeners.add(listener),
+        removeListener: (listener) => listeners.delete(listener),
+        dispatch: (...args) => listeners.forEach(listener => listener(...args))
+    };
+}
+
+function createChrome({ local, pageText }) {
+    const store = { local: structuredClone(local), session: {} };
+    const onChanged = createEvent();
+
+    const area = (name) => ({
+        async get(keys) {
+            if (keys === undefined || keys === null) return structuredClone(store[name]);
+            const wanted = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+            const result = {};
+            for (const key of wanted) {
+                if (key in store[name]) result[key] = structuredClone(store[name][key]);
+            }
+            return result;
+        },
+        async set(items) {
+            const changes = {};
+            for (const [key, value] of Object.entries(items)) {
+                changes[key] = { oldValue: store[name][key], newValue: structuredClone(value) };
+                store[name][key] = structuredClone(value);
+            }
+            onChanged.dispatch(changes, name);
+        },
+        async remove(keys) {
+            for (const key of [].concat(keys)) delete store[name][key];
+        }
+    });
+
+    const tab = { id: 1, windowId: 1, url: 'https://example.com/article', title: 'Example article', status: 'complete', active: true };
+
+    return {
+        store,
+        chrome: {
+            storage: { local: area('local'), session: area('session'), onChanged },
+            tabs: {
+                query: async () => [tab],
+                get: async (id) => ({ ...tab, id }),
+                create: async (options) => ({ ...tab, id: 2, ...options }),
+                onActivated: createEvent(),
+                onUpdated: createEvent(),
+                onRemoved: createEvent()
+            },
+            windows: { getCurrent: async () => ({ id: 1 }) },
+            scripting: {
+                executeScript: async () => [{ frameId: 0, result: { text: pageText, source: 'main content <article>', frames: 0, shadowRoots: 0 } }]
+            },
+            webNavigation: { getAllFrames: async () => [{ frameId: 0, url: tab.url }] },
+            runtime: {
+                sendMessage: async () => ({}),
+                getManifest: () => JSON.parse(read('manifest.json')),
+                onMessage: createEvent()
+            },
+            permissions: { contains: async () => true, request: async () => true },
+            sidePanel: { open: async () => {} }
+        }
+    };
+}
+
+async function waitFor(predicate, { timeout = 5000, interval = 5 } = {}) {
+    const start = Date.now();
+    for (;;) {
+        const value = predicate();
+        if (value) return value;
+        if (Date.now() - start > timeout) throw new Error('Timed out waiting for the popup');
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
+
+// simulation is merged over DEFAULT_SIMULATION by the popup itself; local
+// seeds chrome.storage.local. Resolves once every card has rendered.
+async function loadPopup({ simulation = {}, local = {}, pageText = PAGE_TEXT, view = '' } = {}) {
+    const html = read('popup.html').replace(/<script src="[^"]+"><\/script>/g, '');
+    const dom = new JSDOM(html, {
+        url: `chrome-extension://test/popup.html${view}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const { window } = dom;
+
+    const { chrome, store } = createChrome({
+        local: { ...local, simulation: { delayMs: 0, downloadMs: 10, ...simulation, enabled: true } },
+        pageText
+    });
+    window.chrome = chrome;
+
+    // Globals simulation.js and popup.js expect from a browser that jsdom lacks
+    Object.assign(window, { ReadableStream, DOMException, EventTarget, Event, TextEncoder });
+    Object.defineProperty(window, 'crypto', { value: globalThis.crypto, configurable: true });
+    Object.defineProperty(window.navigator, 'clipboard', { value: { writeText: async () => {} }, configurable: true });
+    // Expected failures are logged by the popup; keep them for assertions
+    const errors = [];
+    window.console.error = (...args) => errors.push(args);
+    window.console.warn = () => {};
+
+    // Top-level consts of a classic script are globals for popup.js, but not
+    // properties of window, so they are copied over
+    window.eval(`${read('simulation.js')}
+window.SIMULATION_SCENARIOS = SIMULATION_SCENARIOS;
+window.DEFAULT_SIMULATION = DEFAULT_SIMULATION;
+window.installSimulation = installSimulation;`);
+
+    // jsdom fires DOMContentLoaded itself once parsing is done, after this
+    // synchronous setup; counting the runs catches a popup started twice
+    const startup = { runs: 0, simulations: 0 };
+    const addEventListener = window.document.addEventListener.bind(window.document);
+    window.document.addEventListener = (type, listener, options) => addEventListener(type, type === 'DOMContentLoaded'
+        ? (event) => {
+            startup.runs++;
+            return listener(event);
+        }
+        : listener, options);
+    const { installSimulation } = window;
+    window.installSimulation = (config) => {
+        startup.simulations++;
+        return installSimulation(config);
+    };
+    window.eval(read('popup.js'));
+
+    // renderApiList swaps all cards in at once
+    await waitFor(() => window.document.querySelectorAll('#api-list .api-card').length > 0);
+
+    return { window, document: window.document, store, errors, startup, close: () => window.close() };
+}
+
+function getCards(document) {
+    const cards = {};
+    for (const card of document.querySelectorAll('#api-list .api-card')) {
+        cards[card.querySelector('.api-name').textContent] = card;
+    }
+    return cards;
+}
+
+module.exports = { loadPopup, getCards, waitFor, PAGE_TEXT, SIMULATION_SCENARIOS };
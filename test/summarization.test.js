@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPopup, getCards, waitFor } = require('./harness');
+
+// 120 sentences of about 50 characters, roughly 1500 tokens
+const LONG_PAGE = Array.from({ length: 120 }, (_, i) => `Sentence ${String(i + 1).padStart(3, '0')} is about on-device models.`).join(' ');
+
+// A 200 token quota leaves a 180 token budget per call, so the page needs
+// several rounds of chunk summaries before it fits
+const SMALL_QUOTA = { inputQuota: 200, apis: { Summarizer: 'available' } };
+
+// Clicks Summarize Page and collects every progress label until the run
+// ends, which is once the use-case action follows a summary or it failed
+async function summarize(popup) {
+    const card = getCards(popup.document).Summarizer;
+    const button = [...card.querySelectorAll('button')].find(b => b.textContent === 'Summarize Page');
+    const output = card.querySelector('.summary-output');
+
+    const labels = [];
+    const observer = new popup.window.MutationObserver(() => labels.push(button.textContent));
+    observer.observe(button, { childList: true, characterData: true, subtree: true });
+
+    button.click();
+    await waitFor(() => !button.disabled && (card.querySelector('.use-case-btn') || output.textContent.startsWith('Error')));
+    observer.disconnect();
+
+    const passes = labels.map(label => Number((/pass (\d+)/.exec(label) || [])[1])).filter(Boolean);
+    return { labels, passes, output: output.textContent };
+}
+
+// Makes the simulated summarizer keep the first `share` of its input, however
+// long it is
+function keepShare(popup, share) {
+    const { Summarizer } = popup.window;
+    const create = Summarizer.create;
+    Summarizer.create = async (options) => {
+        const instance = await create(options);
+        const shorten = (text) => text.slice(0, Math.floor(text.length * share));
+        instance.summarize = async (text) => shorten(text);
+        instance.summarizeStreaming = (text) => new ReadableStream({
+            start(controller) {
+                controller.enqueue(shorten(text));
+                controller.close();
+            }
+        });
+        return instance;
+    };
+}
+
+test('summaries are condensed pass by pass until they fit one call', async () => {
+    const popup = await loadPopup({ simulation: SMALL_QUOTA, pageText: LONG_PAGE });
+    try {
+        const { labels, passes, output } = await summarize(popup);
+
+        assert.ok(!output.startsWith('Error'), output);
+        assert.ok(labels.includes('Summarizing chunk 7 of 7, pass 1...'), labels.join('\n'));
+        assert.ok(labels.includes('Summarizing chunk 2 of 2, pass 2...'), labels.join('\n'));
+        assert.equal(labels.filter(label => label.startsWith('Writing final summary')).at(-1), 'Writing final summary, pass 3...');
+        assert.equal(Math.max(...passes), 3);
+        // The simulated summarizer keeps the first sentences of its input
+        assert.match(output, /Sentence 001/);
+    } finally {
+        popup.close();
+    }
+});
+
+test('a page that fits is summarized in a single pass', async () => {
+    const popup = await loadPopup({ simulation: SMALL_QUOTA });
+    try {
+        const { labels, passes, output } = await summarize(popup);
+        assert.ok(labels.includes('Summarizing...'), labels.join('\n'));
+        assert.deepEqual(passes, []);
+        assert.match(output, /Chrome ships built-in AI APIs/);
+    } finally {
+        popup.close();
+    }
+});
+
+test('summaries that stop shrinking fail instead of being truncated', async () => {
+    const popup = await loadPopup({ simulation: SMALL_QUOTA, pageText: LONG_PAGE });
+    try {
+        keepShare(popup, 1);
+        const { passes, output } = await summarize(popup);
+
+        assert.equal(Math.max(...passes), 1);
+        assert.match(output, /^Error: The page is too long to summarize, the chunk summaries stopped shrinking after pass 1\./);
+    } finally {
+        popup.close();
+    }
+});
+
+test('summaries that shrink too slowly stop after the last allowed pass', async () => {
+    const popup = await loadPopup({ simulation: SMALL_QUOTA, pageText: Array(4).fill(LONG_PAGE).join(' ') });
+    try {
+        keepShare(popup, 0.7);
+        const { passes, output } = await summarize(popup);
+
+        assert.equal(Math.max(...passes), 5);
+        assert.match(output, /^Error: The page is too long to summarize, the chunk summaries stopped shrinking after pass 5\./);
+    } finally {
+        popup.close();
+    }
+});